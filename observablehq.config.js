@@ -0,0 +1,10 @@
+import {pagePaths} from "./src/data/seasons.js";
+
+export default {
+    title: "NBA Shot Chart Explorer",
+    theme: "light",
+    cleanUrls: true,
+    root: "src",
+    // A profile per player and a dashboard per team (src/players/, src/teams/)
+    dynamicPaths: pagePaths,
+  };
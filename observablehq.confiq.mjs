@@ -1,7 +0,0 @@
-export default {
-    title: "NBA 2003–04 Shot Chart Explorer",
-    theme: "light",
-    cleanUrls: true,
-    root: "src",
-  };
-  
\ No newline at end of file
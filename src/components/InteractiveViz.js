@@ -1,63 +1,168 @@
 import * as d3 from "d3";
+import {hexbin} from "./hexbin.js";
+import {COURT, ZONES, BREAK_ANGLE, courtArc, zoneById, zonePolygons} from "./court.js";
+import {adaptSeason, readTable} from "./schema.js";
+import {shotIndex, rowColumns, codeMask, countsAt, countsBy} from "./shotindex.js";
+import {fitExpected, summarizeExpected} from "./expected.js";
+import {summarize, summarizeZones, aggregate, mergeAggregates, addCounts, emptyCounts} from "./stats.js";
+import {encodeState, decodeState} from "./urlstate.js";
+import {downloadBlob, serializeSVG, svgToPNG, slugify} from "./export.js";
+import {createPicker} from "./picker.js";
+import {createSelect, setSelectValue, optionsOf, createButton} from "./controls.js";
+import {createTimeline, TIMELINE_MODES} from "./timeline.js";
+import {createClockFilter, quarterLabel, fmtClock} from "./clock.js";
+import {createHeatStrip} from "./heatstrip.js";
+import {fmtRate} from "./table.js";
+import {renderZoneTable, renderCompareTable, accessibleTable, renderPlayerTable} from "./breakdowns.js";
+import {THEMES, pageTheme, setThemeVars, watchPageTheme} from "./theme.js";
+import {regionContains, simplifyRegion, rectangleRegion, validRegion} from "./regions.js";
+import {createRegionPanel, REGION_PANEL} from "./regionpanel.js";
 
-// Parse dates like "03-12-2004"
-const parseMDY = d3.timeParse("%m-%d-%Y");
-
-// Simple UI builders (no extra libs)
-function createSelect(label, options, value, onChange, {multiple=false, size=6}={}) {
-  const wrap = document.createElement("label");
-  wrap.style.display = "flex";
-  wrap.style.flexDirection = "column";
-  wrap.style.gap = "4px";
-  const span = document.createElement("span");
-  span.textContent = label;
-  span.style.fontWeight = "600";
-  const select = document.createElement("select");
-  if (multiple) {
-    select.multiple = true;
-    select.size = Math.min(size, options.length);
+// Color schemes: shot dots (made/missed), the hexbin and zone scales, and the
+// better/worse deltas on the stat cards (per page theme). The colorblind-safe scheme uses the
+// Okabe–Ito blue/orange pair, avoids red–green contrasts, and draws missed
+// shots as crosses so the result never depends on color alone.
+const PALETTES = {
+  "Standard": {
+    made: {fill: "#4a90e2", stroke: "#6ba3e8"},
+    missed: {fill: "#e74c3c", stroke: "#ec7063"},
+    missedMark: "dot",
+    sequential: d3.interpolateRdYlBu,
+    diverging: d3.interpolateRdBu,
+    share: d3.interpolatePuOr,
+    better: {light: "#2e8540", dark: "#6fcf73"},
+    worse: {light: "#c62828", dark: "#e57373"}
+  },
+  "Colorblind-safe": {
+    made: {fill: "#0072b2", stroke: "#56b4e9"},
+    missed: {fill: "#e69f00", stroke: "#f0c05a"},
+    missedMark: "cross",
+    sequential: d3.interpolateCividis,
+    diverging: d3.interpolatePuOr,
+    share: d3.interpolateBrBG,
+    better: {light: "#0072b2", dark: "#56b4e9"},
+    worse: {light: "#b36b00", dark: "#e69f00"}
   }
-  for (const o of options) {
-    const opt = document.createElement("option");
-    opt.value = o;
-    opt.textContent = o;
-    if (!multiple && o === value) opt.selected = true;
-    select.appendChild(opt);
+};
+
+// CONFIG.colors laid over a palette. made/missed and better/worse may be
+// plain colors (strokes are derived, and one delta color serves both themes).
+function withColors(palette, colors) {
+  const out = {...palette, ...colors};
+  for (const key of ["made", "missed"]) {
+    if (typeof colors[key] === "string") out[key] = {fill: colors[key], stroke: d3.color(colors[key]).brighter(0.5).formatHex()};
   }
-  select.onchange = () => {
-    if (multiple) {
-      const chosen = Array.from(select.selectedOptions).map(o => o.value);
-      onChange(chosen);
-    } else {
-      onChange(select.value);
-    }
-  };
-  wrap.appendChild(span);
-  wrap.appendChild(select);
-  return wrap;
+  for (const key of ["better", "worse"]) {
+    if (typeof colors[key] === "string") out[key] = {light: colors[key], dark: colors[key]};
+  }
+  return out;
+}
+
+// Hidden from view but still read by screen readers
+function visuallyHidden(el) {
+  Object.assign(el.style, {
+    position: "absolute",
+    width: "1px",
+    height: "1px",
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap"
+  });
+  return el;
+}
+
+// Unique element ids for aria-describedby, across explorer instances
+let nextId = 0;
+const uniqueId = prefix => `${prefix}-${++nextId}`;
+
+// An × of half-width r at (x, y), on a canvas context or a d3.path
+function crossPath(context, x, y, r) {
+  context.moveTo(x - r, y - r);
+  context.lineTo(x + r, y + r);
+  context.moveTo(x - r, y + r);
+  context.lineTo(x + r, y - r);
+  return context;
 }
 
+// Tooltip rows as one sentence for screen readers
+const plainText = rows => rows.filter(Boolean).join(". ").replace(/<[^>]+>/g, "");
+
 export default function InteractiveViz(CONFIG) {
   const {
     data: rawData,
     columns,
-    title = "Interactive Visualization"
+    // One entry per season: {season, data, columns} for raw CSV rows, or
+    // {table, aggregates} for the build-time artifacts in src/data/. A single
+    // `data`/`columns` pair is one unnamed season.
+    seasons: seasonInputs = [{season: CONFIG.season ?? "", data: rawData, columns}],
+    title = "Interactive Visualization",
+    state: initialState = null, // partial state (see getState) to start from, e.g. {players: ["Ben Wallace"]}
+    urlState = true, // mirror filters, brushes and zoom in the page URL
+    theme: themeOption = "auto", // "light", "dark", or "auto" to follow the page's Framework theme
+    colors = {}, // overrides for the Standard palette (see PALETTES), e.g. {made: "#2a9d8f"}
+    // Court drawing size; the panels scale to the container at this aspect ratio
+    width: W = 1100,
+    height: H = 560,
+    invalidation = null // promise after which the explorer is destroyed (Framework's `invalidation`)
   } = CONFIG;
 
+  // Colors (see theme.js): CSS variables on the root for the HTML parts,
+  // `theme` for the SVG drawn with concrete colors
+  let themeName = themeOption === "auto" ? pageTheme() : themeOption;
+  let theme = THEMES[themeName];
+
   const root = document.createElement("div");
   root.style.fontFamily = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
   root.style.maxWidth = "1200px";
   root.style.margin = "0 auto";
   root.style.padding = "1rem";
-  root.style.background = "#1a1a1a";
-  root.style.color = "#e0e0e0";
+  root.style.background = "var(--viz-background)";
+  root.style.color = "var(--viz-text)";
+  // Only the explorer's own "input" events (see the public API at the end)
+  // reach listeners on the root, not those of the sliders and search boxes
+  root.addEventListener("input", (event) => {
+    if (event.target !== root) event.stopImmediatePropagation();
+  });
 
   const h2 = document.createElement("h2");
   h2.textContent = title;
   h2.style.margin = "0 0 .5rem 0";
-  h2.style.color = "#e0e0e0";
+  h2.style.color = "var(--viz-text)";
   root.appendChild(h2);
 
+  const actions = document.createElement("div");
+  actions.style.display = "flex";
+  actions.style.flexWrap = "wrap";
+  actions.style.gap = ".75rem";
+  actions.style.alignItems = "center";
+  actions.style.marginBottom = ".75rem";
+  const statusText = document.createElement("span");
+  statusText.style.fontSize = "13px";
+  statusText.style.color = "var(--viz-muted)";
+  const copyButton = createButton("Copy link", async () => {
+    try {
+      await navigator.clipboard.writeText(location.href);
+      statusText.textContent = "Link copied";
+    } catch {
+      statusText.textContent = location.href;
+    }
+  });
+  if (urlState) actions.appendChild(copyButton);
+  const exportAction = (label, run) => createButton(label, async () => {
+    try {
+      await run();
+    } catch (error) {
+      statusText.textContent = `Export failed: ${error.message}`;
+    }
+  });
+  actions.appendChild(createButton("Reset zoom", () => resetZoom()));
+  actions.appendChild(exportAction("Export SVG", () => exportCourt("svg")));
+  actions.appendChild(exportAction("Export PNG", () => exportCourt("png")));
+  actions.appendChild(exportAction("Export CSV", () => exportShots("csv")));
+  actions.appendChild(exportAction("Export JSON", () => exportShots("json")));
+  actions.appendChild(statusText);
+  root.appendChild(actions);
+
   const controls = document.createElement("div");
   controls.style.display = "grid";
   controls.style.gridTemplateColumns = "repeat(4, minmax(0,1fr))";
@@ -70,20 +175,36 @@ export default function InteractiveViz(CONFIG) {
   vizWrap.style.display = "grid";
   vizWrap.style.gridTemplateColumns = "1fr";
   vizWrap.style.gap = ".75rem";
+  // Summary statistics for the current filter, with league/team baselines
+  const statsPanel = document.createElement("div");
+  statsPanel.style.display = "grid";
+  statsPanel.style.gridTemplateColumns = "repeat(auto-fit, minmax(130px, 1fr))";
+  statsPanel.style.gap = ".5rem";
+  statsPanel.style.marginBottom = ".75rem";
+  root.appendChild(statsPanel);
   root.appendChild(vizWrap);
 
   // SVGs
-  const W = 1100;
-  const H = 560;
-  const scatterSVG = d3.create("svg")
-    .attr("width", W)
-    .attr("height", H)
-    .style("background", "#1a1a1a");
+  const GAP = 12;
+  // Court panels (single, or A and B side by side in compare mode)
+  const courtRow = document.createElement("div");
+  courtRow.style.display = "flex";
+  courtRow.style.flexWrap = "wrap";
+  courtRow.style.gap = `${GAP}px`;
+  // Compare mode: A-minus-B zone map next to the side-by-side summary
+  const diffRow = document.createElement("div");
+  diffRow.style.display = "none";
+  diffRow.style.flexWrap = "wrap";
+  diffRow.style.gap = `${GAP}px`;
+  diffRow.style.alignItems = "start";
   const histSVG = d3.create("svg")
     .attr("width", W)
     .attr("height", 140)
-    .style("background", "#1a1a1a");
-  vizWrap.appendChild(scatterSVG.node());
+    .attr("role", "img")
+    .style("display", "block")
+    .style("background", "var(--viz-background)");
+  vizWrap.appendChild(courtRow);
+  vizWrap.appendChild(diffRow);
   vizWrap.appendChild(histSVG.node());
 
   // Tooltip
@@ -91,44 +212,163 @@ export default function InteractiveViz(CONFIG) {
   Object.assign(tip.style, {
     position: "fixed",
     pointerEvents: "none",
-    background: "rgba(0,0,0,0.9)",
-    color: "white",
+    background: "var(--viz-tooltip)",
+    color: "var(--viz-text)",
     padding: "8px 10px",
     fontSize: "13px",
     borderRadius: "6px",
     opacity: "0",
     transition: "opacity 120ms",
-    border: "1px solid #555"
+    border: "1px solid var(--viz-rule)"
+  });
+  root.appendChild(tip);
+  setThemeVars(root, theme);
+
+  function showTip(event, rows) {
+    tip.style.opacity = "1";
+    tip.innerHTML = rows.filter(Boolean).join("<br>");
+    tip.style.left = (event.clientX + 12) + "px";
+    tip.style.top = (event.clientY + 12) + "px";
+  }
+
+  function hideTip() {
+    tip.style.opacity = "0";
+  }
+
+  // Screen reader announcements (the shot or zone focused from the keyboard)
+  const announcer = visuallyHidden(document.createElement("div"));
+  announcer.setAttribute("aria-live", "polite");
+  root.appendChild(announcer);
+
+  // Process the pre-loaded data, one season at a time (see schema.js). Arrow
+  // artifacts are read as typed columns; raw CSV rows go through the adapter.
+  const adapted = seasonInputs.map(s => {
+    const season = String(s.season ?? s.aggregates?.season ?? "");
+    if (!s.table) {
+      const a = adaptSeason(s.data, {season, columns: s.columns ?? columns});
+      return {...a, length: a.rows.length, columns: rowColumns(a.rows), row: i => a.rows[i]};
+    }
+    const a = readTable(s.table, {season});
+    return {...a, issues: [...(s.aggregates?.issues ?? []), ...a.issues]};
   });
-  document.body.appendChild(tip);
-
-  // Process the pre-loaded CSV data
-  const data = rawData.map(d => {
-    const out = {...d};
-    out.__x = +d[columns.x];
-    out.__y = +d[columns.y];
-    // Handle both numeric (1/0) and string (TRUE/FALSE) formats
-    out.__made = d[columns.made] === "TRUE" || d[columns.made] === true || +d[columns.made] === 1 ? 1 : 0;
-    out.__player = d[columns.player];
-    out.__team = d[columns.team];
-    out.__dist = +d[columns.distance];      // numeric
-    out.__date = parseMDY(d[columns.date]); // Date
-    out.__q = d[columns.quarter] ? +d[columns.quarter] : null;
-    out.__mins = d[columns.minsLeft] ? +d[columns.minsLeft] : null;
-    out.__secs = d[columns.secsLeft] ? +d[columns.secsLeft] : null;
-    return out;
+  // Typed columns of every shot (see shotindex.js). Filters and views work on
+  // arrays of shot indices; row objects are only built for tooltips, the data
+  // table, exports and getFilteredShots().
+  const index = shotIndex(adapted);
+  const allIds = Int32Array.from({length: index.length}, (_, i) => i);
+
+  // Make probability of every shot from the league-wide expected-points model
+  // (see expected.js), fitted once on all loaded shots
+  const expected = fitExpected(allIds, {
+    made: i => index.made[i],
+    zone: i => index.zone.values[index.zone.codes[i]],
+    dist: i => index.dist[i]
   });
+  const xp = Float64Array.from(allIds, expected.probability);
+
+  // Shot i as a processed row, with its make probability as `__xp`
+  function shotRow(i) {
+    const d = index.row(i);
+    d.__xp = xp[i];
+    return d;
+  }
+
+  // Per-season counts: precomputed at build time when given, else computed here
+  const aggregatesBySeason = d3.rollup(adapted.map((a, i) =>
+    [a.season, seasonInputs[i].aggregates ?? aggregate(a.rows ?? Array.from({length: a.length}, (_, j) => a.row(j)))]),
+    v => mergeAggregates(v.map(([, a]) => a)), ([season]) => season);
+
+  // Schema problems (missing columns, dropped rows) are listed under the title
+  const issues = adapted.flatMap(a => a.issues.map(issue => a.season ? `${a.season}: ${issue}` : issue));
+  if (issues.length) {
+    const notice = document.createElement("details");
+    notice.style.fontSize = "13px";
+    notice.style.color = "var(--viz-notice)";
+    notice.style.marginBottom = ".5rem";
+    const summary = document.createElement("summary");
+    summary.textContent = `${issues.length} data ${issues.length === 1 ? "issue" : "issues"}`;
+    summary.style.cursor = "pointer";
+    const list = document.createElement("ul");
+    list.style.margin = ".25rem 0";
+    for (const issue of issues) {
+      const li = document.createElement("li");
+      li.textContent = issue;
+      list.appendChild(li);
+    }
+    notice.appendChild(summary);
+    notice.appendChild(list);
+    h2.after(notice);
+  }
 
   // Controls — player & team filters
-    let allPlayers = Array.from(new Set(data.map(d => d.__player))).sort();
-    let allTeams = Array.from(new Set(data.map(d => d.__team))).sort();
+    // Attempts per player on each team (all seasons), for the grouped player picker
+    const totals = mergeAggregates(Array.from(aggregatesBySeason.values()));
+    const attemptsByTeam = new Map(Object.entries(totals.players).map(([team, players]) =>
+      [team, new Map(Object.entries(players).map(([player, c]) => [player, c.attempts]))]));
+    let allPlayers = Array.from(new Set(Object.values(totals.players).flatMap(Object.keys))).sort();
+    let allTeams = Object.keys(totals.teams).sort();
+    // Seasons in the order they were passed in
+    const allSeasons = Array.from(aggregatesBySeason.keys());
+    const teamGroups = [{name: null, items: allTeams.map(t => ({value: t, count: d3.sum(attemptsByTeam.get(t).values())}))}];
+    const playerGroups = teams => teams.map(team => ({
+      name: team,
+      items: Array.from(attemptsByTeam.get(team), ([value, count]) => ({value, count}))
+        .sort((a, b) => d3.ascending(a.value, b.value))
+    }));
+    const playersOn = teams => new Set(teams.flatMap(team => Array.from(attemptsByTeam.get(team).keys())));
+
+    // A player picker grouped by team plus a team picker that narrows it. When
+    // every available player was selected, narrowing or widening the teams
+    // keeps "every player on those teams" selected.
+    function createSelectionPickers(suffix, onChange) {
+      let players = allPlayers.slice();
+      let teams = allTeams.slice();
+      const playerPicker = createPicker(`Players${suffix}`, playerGroups(teams), players,
+        v => { players = v; onChange(players, teams); }, {noun: "players"});
+      const teamPicker = createPicker(`Teams${suffix}`, teamGroups, teams, v => {
+        const wasAll = players.length === playersOn(teams).size;
+        set(wasAll ? allPlayers : players, v);
+        onChange(players, teams);
+      }, {noun: "teams"});
+      playerPicker.style.gridColumn = "span 2";
+
+      // Apply a selection; returns it with players limited to the chosen teams
+      function set(nextPlayers, nextTeams) {
+        teams = allTeams.filter(t => nextTeams.includes(t));
+        const available = playersOn(teams);
+        players = nextPlayers.filter(p => available.has(p)).sort();
+        teamPicker.value = teams;
+        playerPicker.setGroups(playerGroups(teams));
+        playerPicker.value = players;
+        return [players, teams];
+      }
+
+      return {playerPicker, teamPicker, set};
+    }
 
-    // defaults: all selected
-    let selPlayers = allPlayers.slice(0, Math.min(5, allPlayers.length)); // start with a few for readability
+    // defaults: all selected (the canvas layer can draw the full season)
+    let selPlayers = allPlayers.slice();
     let selTeams = allTeams.slice();
+    const pickersA = createSelectionPickers("", (p, t) => { selPlayers = p; selTeams = t; redraw(); });
+
+    // Compare mode: a second, independent player/team selection for court B
+    let selPlayersB = allPlayers.slice();
+    let selTeamsB = allTeams.slice();
+    const pickersB = createSelectionPickers(" B", (p, t) => { selPlayersB = p; selTeamsB = t; redraw(); });
 
-    const playerSelect = createSelect("Players (multi-select)", allPlayers, null, v => { selPlayers = v; redraw(); }, {multiple: true, size: 8});
-    const teamSelect = createSelect("Teams (multi-select)", allTeams, null, v => { selTeams = v; redraw(); }, {multiple: true, size: 8});
+    // Seasons for court A (also the league baseline) and court B. Picking one
+    // player with different seasons on A and B compares them across years.
+    let selSeasons = allSeasons.slice();
+    let selSeasonsB = allSeasons.slice();
+    const seasonSelect = createSelect("Seasons (multi-select)", allSeasons, selSeasons,
+      v => { selSeasons = allSeasons.filter(s => v.includes(s)); updateBaselines(); redraw(); },
+      {multiple: true, size: 4});
+    const seasonSelectB = createSelect("Seasons B", allSeasons, selSeasonsB,
+      v => { selSeasonsB = allSeasons.filter(s => v.includes(s)); redraw(); },
+      {multiple: true, size: 4});
+
+    const modeSelect = createSelect("Mode", ["Single","Compare"], "Single", v => { compareMode = v === "Compare"; layout(); redraw(); });
+    let compareMode = false;
 
     // Made/miss filter
     const mmSelect = createSelect("Result", ["All","Made","Missed"], "All", v => { madeFilter = v; redraw(); });
@@ -138,16 +378,65 @@ export default function InteractiveViz(CONFIG) {
     const distMode = createSelect("Distance Mode", ["All","0–10","10–23","23+"], "All", v => { distFilter = v; redraw(); });
     let distFilter = "All";
 
-    controls.appendChild(playerSelect);
-    controls.appendChild(teamSelect);
+    // Game clock: quarters (5+ are overtime periods) and time left in the period
+    const allQuarters = Array.from(new Set(index.quarter.filter(Number.isFinite))).sort(d3.ascending);
+    const clock = createClockFilter(allQuarters, redrawGesture);
+
+    // Court view: one dot per shot, or hexbins (size = volume, color = FG%)
+    const viewSelect = createSelect("View", ["Dots","Hexbin","Zones"], "Dots", v => { viewMode = v; redraw(); });
+    let viewMode = "Dots";
+
+    // What a drag on the court does: pan, or draw a region (lasso or
+    // rectangle) that filters to the shots inside it. The wheel zooms either way.
+    const PAN_TOOL = "Pan & zoom";
+    const toolSelect = createSelect("Court Tool", [PAN_TOOL,"Lasso","Rectangle"], PAN_TOOL, v => {
+      courtTool = v;
+      for (const c of courts) c.svg.style("cursor", courtTool === PAN_TOOL ? null : "crosshair");
+      layout();
+      redraw();
+    });
+    let courtTool = PAN_TOOL;
+    // The drawn region in court coordinates (null = no region filter), and
+    // its name when it's one of the saved regions
+    let region = null;
+    let regionName = null;
+
+    const hexColorSelect = createSelect("Hex Color", ["FG%","FG% vs League","Makes vs Expected"], "FG%", v => { hexColor = v; redraw(); });
+    let hexColor = "FG%";
+
+    const zoneColorSelect = createSelect("Zone Color", ["FG% vs League","Attempt Share vs League"], "FG% vs League", v => { zoneColor = v; redraw(); });
+    let zoneColor = "FG% vs League";
+
+    // Colors for the dots, hexbins, zones and stat deltas (see PALETTES)
+    const palettes = {...PALETTES, Standard: withColors(PALETTES.Standard, colors)};
+    const paletteSelect = createSelect("Palette", Object.keys(palettes), "Standard", v => { setPalette(v); redraw(); });
+    let paletteName = "Standard";
+    let palette = palettes[paletteName];
+
+    // Zones picked on the court or in the zone table (empty = no zone filter)
+    let zoneFilter = new Set();
+
+    controls.appendChild(pickersA.playerPicker);
+    controls.appendChild(pickersA.teamPicker);
+    if (allSeasons.length > 1) controls.appendChild(seasonSelect);
     controls.appendChild(mmSelect);
     controls.appendChild(distMode);
+    for (const el of clock.nodes) controls.appendChild(el);
+    controls.appendChild(viewSelect);
+    controls.appendChild(toolSelect);
+    controls.appendChild(hexColorSelect);
+    controls.appendChild(zoneColorSelect);
+    controls.appendChild(paletteSelect);
+    controls.appendChild(modeSelect);
+    controls.appendChild(pickersB.playerPicker);
+    controls.appendChild(pickersB.teamPicker);
+    if (allSeasons.length > 1) controls.appendChild(seasonSelectB);
 
     // Shot chart scales — NBA half court coordinates
     // Standard NBA court: LOC_X ~ [-250, 250], LOC_Y ~ [0, 470]
     // We flip Y so basket is on the right (higher Y values to the right)
-    const xExtent = d3.extent(data, d => d.__x);
-    const yExtent = d3.extent(data, d => d.__y);
+    const xExtent = d3.extent(index.x);
+    const yExtent = d3.extent(index.y);
     const xDom = xExtent[0] == null ? [-250, 250] : [xExtent[0] - 10, xExtent[1] + 10];
     const yDom = yExtent[0] == null ? [-50, 470] : [Math.min(-50, yExtent[0] - 10), yExtent[1] + 10];
 
@@ -155,95 +444,821 @@ export default function InteractiveViz(CONFIG) {
     const innerW = W - M.left - M.right;
     const innerH = H - M.top - M.bottom;
 
-    const g = scatterSVG.append("g").attr("transform", `translate(${M.left},${M.top})`);
-
     // X scale maps court X to horizontal screen position
     const x = d3.scaleLinear().domain(xDom).range([0, innerW]);
     // Y scale maps court Y to screen - FLIP so basket (y=0) is on RIGHT
     const y = d3.scaleLinear().domain(yDom).range([innerH, 0]);
 
-    // Draw court once and keep reference for zoom transforms
-    const courtGroup = g.append("g").attr("class", "court");
-    
-    // Draw NBA half-court
-    drawHalfCourt(courtGroup, x, y);
-
-    const dots = g.append("g");
-
-    // Zoom/pan (limit to reasonable ranges)
-    const zoom = d3.zoom().scaleExtent([0.8, 8]).on("zoom", (event) => {
-      const t = event.transform;
-      const zx = t.rescaleX(x);
-      const zy = t.rescaleY(y);
-      // Transform both court and dots together
-      courtGroup.attr("transform", t);
-      dots.attr("transform", t);
+    // Court-space pixel positions of every shot, computed once (before zoom is applied)
+    const px = index.x.map(v => x(v));
+    const py = index.y.map(v => y(v));
+
+    // Hexbins are computed in screen space from the same x/y scales, so they
+    // follow the court under zoom just like the dots do
+    const hex = hexbin({x: i => px[i], y: i => py[i], radius: 12});
+    const hexR = d3.scaleSqrt().range([0, hex.radius()]);
+    const hexFG = d3.scaleSequential(palette.sequential).domain([0.25, 0.65]);
+    const hexRel = d3.scaleDiverging(palette.diverging).domain([-0.15, 0, 0.15]);
+
+    // League baselines: every shot of court A's seasons, no other filters,
+    // from the per-season aggregates. leagueHex is the FG% per hex for the
+    // relative color mode.
+    let baseline, baselineIds, leagueHex, leagueZones, leagueSummary;
+    let baselineKey = null;
+    // Team baselines by team list, for the current seasons
+    const teamSummaries = new Map();
+
+    function updateBaselines() {
+      const key = selSeasons.join("|");
+      if (key === baselineKey) return;
+      baselineKey = key;
+      baseline = mergeAggregates(selSeasons.map(s => aggregatesBySeason.get(s)));
+      const seasons = codeMask(index.season, selSeasons);
+      baselineIds = allIds.filter(i => seasons[index.season.codes[i]]);
+      leagueHex = new Map(hex(baselineIds).map(b => [b.id, d3.mean(b, i => index.made[i])]));
+      leagueZones = summarizeZones(baseline.zones);
+      leagueSummary = {...summarize(baseline.league), ...summarizeExpected(countsAt(index, baselineIds, xp))};
+      teamSummaries.clear();
+    }
+    updateBaselines();
+
+    // Zone shapes and colors; every court draws the same polygons
+    const zoneOutline = d3.line().x(p => x(p[0])).y(p => y(p[1]));
+    const polygons = zonePolygons(yDom[1]);
+    const zonePath = z => polygons[z.id].map(ring => zoneOutline(ring) + "Z").join("");
+    const zoneFG = d3.scaleDiverging(palette.diverging).domain([-0.1, 0, 0.1]);
+    const zoneShare = d3.scaleDiverging(palette.share).domain([-0.1, 0, 0.1]);
+
+    function setPalette(name) {
+      paletteName = name;
+      palette = palettes[name];
+      hexFG.interpolator(palette.sequential);
+      hexRel.interpolator(palette.diverging);
+      zoneFG.interpolator(palette.diverging);
+      zoneShare.interpolator(palette.share);
+    }
+
+    // Current zoom transform, shared by every court panel (SVG layers and canvas)
+    let zt = d3.zoomIdentity;
+    let syncingZoom = false;
+    const courts = [];
+
+    // Zoom/pan (limit to reasonable ranges). A gesture on one court is mirrored
+    // onto the others so compare mode stays in sync.
+    const zoom = d3.zoom().extent([[0, 0], [W, H]]).scaleExtent([0.8, 8]).on("zoom", function(event) {
+      if (syncingZoom) return;
+      zt = event.transform;
+      syncingZoom = true;
+      for (const c of courts) if (c.svg.node() !== this) c.svg.call(zoom.transform, zt);
+      syncingZoom = false;
+      for (const c of courts) c.applyZoom();
+    }).on("end", () => {
+      if (syncingZoom) return;
+      syncUrl({replace: true});
+      notify();
+    });
+    // d3's default filter, except that with a region tool on only the wheel
+    // zooms: drags draw the region instead
+    zoom.filter(event => (courtTool === PAN_TOOL || event.type === "wheel") && (!event.ctrlKey || event.type === "wheel") && !event.button);
+
+    // Back to the whole court; the other panels follow through the zoom sync
+    function resetZoom() {
+      courtA.svg.call(zoom.transform, d3.zoomIdentity);
+    }
+
+    const courtA = createCourt("Shot chart");
+    const courtB = createCourt("Shot chart B");
+    const courtDiff = createCourt("Zone difference, A minus B");
+    courtRow.appendChild(courtA.node);
+    courtRow.appendChild(courtB.node);
+    diffRow.appendChild(courtDiff.node);
+
+    // Compare summary: attempts, FG%, eFG% and 3PA rate per side
+    const compareTable = document.createElement("table");
+    Object.assign(compareTable.style, {
+      flex: "1 1 280px",
+      borderCollapse: "collapse",
+      fontSize: "13px",
+      fontVariantNumeric: "tabular-nums"
     });
-    scatterSVG.call(zoom);
+    diffRow.appendChild(compareTable);
+
+    // Region panel beside the court (see regionpanel.js)
+    const regionPanel = createRegionPanel({
+      index, xp,
+      onApply: setRegion,
+      onError: message => statusText.textContent = message
+    });
+    courtRow.appendChild(regionPanel.node);
+
+    // Shown while a region tool is on, a region is drawn or any are saved
+    const regionPanelShown = () => courtTool !== PAN_TOOL || region != null || regionPanel.saved().length > 0;
+
+    function drawRegionPanel(shots) {
+      regionPanel.node.style.display = regionPanelShown() ? "grid" : "none";
+      regionPanel.draw(shots, {
+        region,
+        name: regionName,
+        tool: courtTool === PAN_TOOL ? null : courtTool,
+        suffix: compareMode ? " (A)" : "",
+        baseline: {key: baselineKey, ids: baselineIds}
+      });
+    }
+
+    // Tooltip rows for one shot and for one hexbin
+    function shotTip(i) {
+      const d = shotRow(i);
+      return [
+        `<b>${d.__player}</b> (${d.__team})`,
+        `Result: ${d.__made ? "Made ✓" : "Missed ✗"}`,
+        `Distance: ${Number.isFinite(d.__dist) ? d.__dist.toFixed(1) : "NA"} ft`,
+        d.__date ? `Date: ${d.__date.toISOString().slice(0,10)}` : "",
+        d.__q != null ? `Q${d.__q}  ${d.__mins ?? ""}:${String(d.__secs ?? "").padStart(2,"0")}` : ""
+      ];
+    }
+
+    function hexTip(b) {
+      return [
+        `<b>${b.length} attempts</b>`,
+        `Makes: ${b.makes}`,
+        `FG%: ${fmtRate(b.pct)}`,
+        b.league != null ? `League: ${fmtRate(b.league)} (${d3.format("+.1%")(b.pct - b.league)})` : "",
+        `Expected: ${fmtRate(b.xPct)} (${d3.format("+.1%")(b.pct - b.xPct)})`
+      ];
+    }
+
+    const KEY_HELP = "Arrow keys pan, plus and minus zoom, 0 resets the zoom. " +
+      "N and P step through the shots (hexagons in the hexbin view, zones in the zones view), " +
+      "Enter toggles the filter on the focused zone, Escape clears the focus.";
+
+    // One court panel: a canvas shot layer under an SVG holding the court lines,
+    // zones and hexbins. Panels share the scales, zoom transform and zone filter.
+    // The SVG takes keyboard focus; `label` names it for screen readers.
+    function createCourt(label) {
+      const wrap = document.createElement("div");
+      wrap.style.position = "relative";
+      wrap.style.flex = "none";
+      wrap.style.background = "var(--viz-background)";
+
+      // Shots are painted on a canvas underneath the SVG court so the whole
+      // season can be drawn at once
+      const dpr = window.devicePixelRatio || 1;
+      const canvas = document.createElement("canvas");
+      canvas.width = W * dpr;
+      canvas.height = H * dpr;
+      canvas.style.position = "absolute";
+      canvas.style.left = "0";
+      canvas.style.top = "0";
+      canvas.setAttribute("aria-hidden", "true");
+      const ctx = canvas.getContext("2d");
+      // What the panel currently shows, plus the key help, read on focus
+      const description = visuallyHidden(document.createElement("div"));
+      description.id = uniqueId("court-description");
+      const svg = d3.create("svg")
+        .attr("viewBox", [0, 0, W, H])
+        .attr("tabindex", 0)
+        .attr("role", "application")
+        .attr("aria-roledescription", "shot chart")
+        .attr("aria-label", label)
+        .attr("aria-describedby", description.id)
+        .style("position", "relative")
+        .style("display", "block");
+      const caption = document.createElement("div");
+      Object.assign(caption.style, {
+        position: "absolute",
+        left: "12px",
+        top: "8px",
+        fontWeight: "600",
+        pointerEvents: "none"
+      });
+      wrap.appendChild(canvas);
+      wrap.appendChild(svg.node());
+      wrap.appendChild(caption);
+      wrap.appendChild(description);
+
+      const g = svg.append("g").attr("transform", `translate(${M.left},${M.top})`);
+
+      // Draw court once and keep reference for zoom transforms
+      const courtGroup = g.append("g").attr("class", "court");
+
+      // Draw NBA half-court (again when the theme changes)
+      const drawLines = () => drawHalfCourt(courtGroup, x, y);
+      drawLines();
+
+      // Zone overlay sits under the court lines; filled only in the Zones view,
+      // otherwise it just outlines the zones picked for filtering
+      const zonesG = g.insert("g", ".court");
+      let zoneTip = () => [];
+      const zonePaths = zonesG.selectAll("path")
+        .data(ZONES)
+        .join("path")
+        .attr("d", zonePath)
+        .attr("fill-rule", "evenodd")
+        .style("cursor", "pointer")
+        .on("click", (event, z) => {
+          if (courtTool === PAN_TOOL) toggleZone(z.id);
+        })
+        .on("mousemove", (event, z) => showTip(event, zoneTip(z)))
+        .on("mouseleave", hideTip);
+      const zoneLabels = zonesG.selectAll("text")
+        .data(ZONES)
+        .join("text")
+        .attr("x", z => x(z.label[0]))
+        .attr("y", z => y(z.label[1]))
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "middle")
+        .attr("font-size", 12)
+        .attr("font-weight", 600)
+        .attr("fill", "#111")
+        .attr("pointer-events", "none");
+
+      const hexes = g.append("g");
+
+      let view = "Dots";
+      let dotData = [];
+      // Hover lookups; built on the first hover after each render
+      let tree = null;
+      const dotR = 4;
+
+      // Keyboard focus: an index into the current view's items (shots,
+      // hexagons from most to fewest attempts, or zones), -1 for none
+      let items = [];
+      let itemTip = () => [];
+      let focused = -1;
+      const focusG = g.append("g").attr("pointer-events", "none");
+      const focusMark = focusG.append("path")
+        .attr("fill", "none")
+        .attr("stroke-width", 2)
+        .attr("vector-effect", "non-scaling-stroke")
+        .attr("display", "none");
+      const ring = d3.arc().innerRadius(0).outerRadius(dotR + 3).startAngle(0).endAngle(2 * Math.PI)();
+      const itemPoint = d => view === "Dots" ? [px[d], py[d]] : view === "Hexbin" ? [d.x, d.y] : [x(d.label[0]), y(d.label[1])];
+
+      // The drawn region, in court space so it follows the zoom
+      const regionG = g.append("g").attr("pointer-events", "none");
+      const regionPath = regionG.append("path")
+        .attr("fill-opacity", 0.08)
+        .attr("stroke-width", 1.5)
+        .attr("stroke-dasharray", "6 4")
+        .attr("vector-effect", "non-scaling-stroke");
+      const drawRegion = points => regionPath
+        .attr("display", points ? null : "none")
+        .attr("d", points && zoneOutline(points) + "Z")
+        .attr("fill", theme.emphasis)
+        .attr("stroke", theme.emphasis);
+
+      svg.call(zoom);
+
+      // Region tools: the pointer position in court coordinates (undo the
+      // zoom, then the scales), so a region drawn zoomed in covers the same
+      // shots as one drawn on the whole court
+      let drawing = null;
+      const courtAt = event => {
+        const [px, py] = zt.invert(d3.pointer(event, g.node()));
+        return [x.invert(px), y.invert(py)];
+      };
+      svg
+        .on("pointerdown.region", (event) => {
+          if (courtTool === PAN_TOOL || event.button) return;
+          event.preventDefault();
+          svg.node().setPointerCapture?.(event.pointerId);
+          hideTip();
+          const start = courtAt(event);
+          drawing = {start, points: [start]};
+        })
+        .on("pointermove.region", (event) => {
+          if (!drawing) return;
+          const point = courtAt(event);
+          if (courtTool === "Rectangle") drawing.points = rectangleRegion(drawing.start, point);
+          else drawing.points.push(point);
+          drawRegion(drawing.points);
+        })
+        .on("pointerup.region pointercancel.region", (event) => {
+          if (!drawing) return;
+          const points = simplifyRegion(drawing.points);
+          drawing = null;
+          // A click or a scribble without area leaves the region as it was
+          if (event.type === "pointerup" && validRegion(points)) setRegion(points);
+          else drawRegion(region);
+        });
+
+      // Hover hit-testing on the canvas layer: undo the zoom, then ask the quadtree
+      svg
+        .on("pointermove", (event) => {
+          if (view !== "Dots" || drawing) return;
+          const [mx, my] = zt.invert(d3.pointer(event, g.node()));
+          tree ??= d3.quadtree(dotData, i => px[i], i => py[i]);
+          const i = tree.find(mx, my, dotR + 2 / zt.k);
+          if (i === undefined) return hideTip();
+          showTip(event, shotTip(i));
+        })
+        .on("pointerleave", hideTip);
+
+      // Keys pan and zoom every court (through the zoom sync) and step
+      // through the items of this one
+      const PAN = 60;
+      const zoomBy = k => {
+        svg.call(zoom.scaleBy, k);
+        announcer.textContent = `Zoom ${d3.format(".2~f")(zt.k)}×`;
+      };
+      const KEYS = {
+        ArrowLeft: () => svg.call(zoom.translateBy, PAN / zt.k, 0),
+        ArrowRight: () => svg.call(zoom.translateBy, -PAN / zt.k, 0),
+        ArrowUp: () => svg.call(zoom.translateBy, 0, PAN / zt.k),
+        ArrowDown: () => svg.call(zoom.translateBy, 0, -PAN / zt.k),
+        "+": () => zoomBy(1.5),
+        "=": () => zoomBy(1.5),
+        "-": () => zoomBy(1 / 1.5),
+        "0": () => {
+          resetZoom();
+          announcer.textContent = "Zoom reset";
+        },
+        n: () => focusItem(focused + 1),
+        p: () => focusItem(focused < 0 ? -1 : focused - 1),
+        Home: () => focusItem(0),
+        End: () => focusItem(-1),
+        Enter: () => {
+          if (view === "Zones" && focused >= 0 && focused < items.length) toggleZone(items[focused].id);
+        },
+        Escape: () => {
+          focused = -1;
+          drawFocus();
+          hideTip();
+        }
+      };
+      KEYS[" "] = KEYS.Enter;
+      svg
+        .on("keydown", (event) => {
+          const action = KEYS[event.key.length === 1 ? event.key.toLowerCase() : event.key];
+          if (!action || event.ctrlKey || event.metaKey || event.altKey) return;
+          event.preventDefault();
+          action();
+        })
+        .on("blur", hideTip);
+
+      // Outline the focused item, in court space so it follows the zoom. In
+      // the Dots view items are shot ids, and shot 0 is as focusable as any.
+      function drawFocus() {
+        const on = focused >= 0 && focused < items.length;
+        focusMark.attr("display", on ? null : "none").attr("stroke", theme.emphasis);
+        if (!on) return;
+        const item = items[focused];
+        if (view === "Zones") focusMark.attr("transform", null).attr("d", zonePath(item));
+        else focusMark.attr("transform", `translate(${itemPoint(item)})`)
+          .attr("d", view === "Hexbin" ? hex.hexagon(hex.radius() + 2) : ring);
+      }
+
+      // Focus item i (negative counts from the end): pan it into view if
+      // needed, then show its tooltip and announce it
+      function focusItem(i) {
+        if (!items.length) {
+          announcer.textContent = "Nothing to show";
+          return;
+        }
+        focused = ((i % items.length) + items.length) % items.length;
+        const item = items[focused];
+        const point = itemPoint(item);
+        const [sx, sy] = zt.apply(point);
+        if (sx < 0 || sx > innerW || sy < 0 || sy > innerH) svg.call(zoom.translateTo, ...point);
+        drawFocus();
+        const rows = itemTip(item);
+        showTip(clientPoint(point), rows);
+        announcer.textContent = `${(focused + 1).toLocaleString()} of ${items.length.toLocaleString()}: ${plainText(rows)}`;
+      }
+
+      // Client coordinates of a court-space point, for the keyboard tooltip
+      function clientPoint(point) {
+        const rect = svg.node().getBoundingClientRect();
+        const [sx, sy] = zt.apply(point);
+        return {clientX: rect.left + (sx + M.left) * rect.width / W, clientY: rect.top + (sy + M.top) * rect.height / H};
+      }
+
+      function drawDots() {
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, W, H);
+        ctx.translate(M.left + zt.x, M.top + zt.y);
+        ctx.scale(zt.k, zt.k);
+        // One path per result keeps this to two fills for the whole season
+        for (const [made, {fill, stroke}] of [[0, palette.missed], [1, palette.made]]) {
+          ctx.beginPath();
+          if (!made && palette.missedMark === "cross") {
+            for (const i of dotData) {
+              if (index.made[i] !== made) continue;
+              crossPath(ctx, px[i], py[i], dotR);
+            }
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = fill;
+            ctx.stroke();
+            continue;
+          }
+          for (const i of dotData) {
+            if (index.made[i] !== made) continue;
+            ctx.moveTo(px[i] + dotR, py[i]);
+            ctx.arc(px[i], py[i], dotR, 0, 2 * Math.PI);
+          }
+          ctx.globalAlpha = 0.7;
+          ctx.fillStyle = fill;
+          ctx.fill();
+          ctx.globalAlpha = 1;
+          ctx.lineWidth = 0.5;
+          ctx.strokeStyle = stroke;
+          ctx.stroke();
+        }
+      }
+
+      function applyZoom() {
+        // Transform court and shot layers together
+        courtGroup.attr("transform", zt);
+        zonesG.attr("transform", zt);
+        hexes.attr("transform", zt);
+        focusG.attr("transform", zt);
+        regionG.attr("transform", zt);
+        drawDots();
+      }
+
+      // Display size in CSS pixels; drawing always happens in the W×H viewBox
+      function resize(width) {
+        const height = width * H / W;
+        for (const el of [canvas, svg.node()]) {
+          el.style.width = `${width}px`;
+          el.style.height = `${height}px`;
+        }
+        wrap.style.width = `${width}px`;
+      }
+
+      // shots: what to draw; zoneFill/zoneLabel/tip: how the Zones view reads
+      function render({shots = [], mode = viewMode, zoneFill, zoneLabel, tip}) {
+        const lastView = view;
+        view = mode;
+        zoneTip = tip;
+
+        // Dots
+        dotData = view === "Dots" ? shots : [];
+        tree = null;
+        drawDots();
+
+        // Hexbins
+        const bins = view === "Hexbin" ? hex(shots) : [];
+        for (const b of bins) {
+          b.makes = d3.sum(b, i => index.made[i]);
+          b.pct = b.makes / b.length;
+          b.league = leagueHex.get(b.id);
+          b.xPct = d3.mean(b, i => xp[i]);
+        }
+        hexR.domain([0, d3.max(bins, b => b.length) || 1]);
+        hexes.selectAll("path")
+          .data(bins, b => b.id)
+          .join(enter => enter.append("path")
+            .attr("stroke-width", 0.5)
+            .on("mousemove", (event, b) => showTip(event, hexTip(b)))
+            .on("mouseleave", hideTip))
+          .attr("stroke", theme.background)
+          .attr("transform", b => `translate(${b.x},${b.y})`)
+          .attr("d", b => hex.hexagon(Math.max(2, hexR(b.length))))
+          .attr("fill", b => hexColor === "FG% vs League" ? hexRel(b.pct - (b.league ?? b.pct))
+            : hexColor === "Makes vs Expected" ? hexRel(b.pct - b.xPct)
+            : hexFG(b.pct));
+
+        // Zones
+        zonePaths
+          .attr("fill", z => view === "Zones" ? zoneFill(z) : "none")
+          .attr("fill-opacity", 0.85)
+          .attr("stroke", z => zoneFilter.has(z.id) ? theme.emphasis : view === "Zones" ? theme.background : "none")
+          .attr("stroke-width", z => zoneFilter.has(z.id) ? 3 : 1)
+          .attr("pointer-events", view === "Zones" ? "all" : "none");
+        zoneLabels.text(z => view === "Zones" ? zoneLabel(z) : "");
+
+        // Keyboard items; a focused zone stays focused (Enter redraws), the
+        // others start over since the shots changed
+        items = view === "Dots" ? dotData : view === "Hexbin" ? bins.slice().sort((a, b) => b.length - a.length) : ZONES;
+        itemTip = view === "Dots" ? shotTip : view === "Hexbin" ? hexTip : tip;
+        if (view !== "Zones" || lastView !== "Zones") focused = -1;
+        drawFocus();
+        drawRegion(region);
+
+        const makes = d3.sum(shots, i => index.made[i]);
+        const summary = view === "Zones"
+          ? ZONES.map(z => `${z.name} ${zoneLabel(z) || "–"}`).join("; ")
+          : `${shots.length.toLocaleString()} shots, ${makes.toLocaleString()} made (${fmtRate(makes / shots.length)})` +
+            (view === "Hexbin" ? ` in ${bins.length} hexagons` : "");
+        description.textContent = `${caption.textContent || label}: ${view} view. ${summary}. ${KEY_HELP}`;
+      }
+
+      const court = {node: wrap, svg, caption, layer: g.node(), shots: () => dotData, render, applyZoom, resize, drawLines};
+      courts.push(court);
+      return court;
+    }
+
+    // Width of the explorer's content box, kept current by a ResizeObserver
+    // (see the end of the component); W until it's on the page
+    let containerWidth = W;
+    // Narrowest court that still goes side by side with another in compare mode
+    const MIN_COURT = 420;
+
+    // Fit everything to containerWidth and show or hide the B court and the
+    // difference row. Courts keep their W×H aspect ratio and the controls go
+    // from four columns to two to one as the page narrows.
+    function layout() {
+      const width = containerWidth;
+      const columns = width < 560 ? 1 : width < 880 ? 2 : 4;
+      controls.style.gridTemplateColumns = `repeat(${columns}, minmax(0,1fr))`;
+      pickersA.playerPicker.style.gridColumn = pickersB.playerPicker.style.gridColumn = `span ${Math.min(2, columns)}`;
+
+      const sideBySide = compareMode && width >= 2 * MIN_COURT + GAP;
+      // A single court makes room for the region panel while it's wide enough
+      const panelBeside = !compareMode && regionPanelShown() && width >= MIN_COURT + REGION_PANEL + GAP;
+      const courtW = sideBySide ? (width - GAP) / 2 : panelBeside ? width - REGION_PANEL - GAP : width;
+      courtA.resize(courtW);
+      courtB.resize(courtW);
+      courtDiff.resize(courtW);
+      resizeCharts(width);
+      courtB.node.style.display = compareMode ? "" : "none";
+      diffRow.style.display = compareMode ? "flex" : "none";
+      pickersB.playerPicker.style.display = compareMode ? "flex" : "none";
+      pickersB.teamPicker.style.display = compareMode ? "flex" : "none";
+      seasonSelectB.style.display = compareMode ? "flex" : "none";
+    }
+
+    // Filter every court to a region (null for none); `name` when it's a saved one
+    function setRegion(points, name = null) {
+      region = points;
+      regionName = name;
+      layout();
+      redraw();
+    }
+
+    function toggleZone(id) {
+      if (zoneFilter.has(id)) zoneFilter.delete(id);
+      else zoneFilter.add(id);
+      redraw();
+    }
+
+    // Short description of a player/team selection for court captions
+    function describeSelection(players, teams, seasons) {
+      const part = (sel, all, noun) =>
+        sel.length === all.length ? `all ${noun}` : sel.length <= 2 ? sel.join(", ") : `${sel.length} ${noun}`;
+      const parts = [part(players, allPlayers, "players"), part(teams, allTeams, "teams")];
+      if (allSeasons.length > 1) parts.push(part(seasons, allSeasons, "seasons"));
+      return parts.join(" · ");
+    }
 
     // Linked histogram with brush on shot distance
     const HM = {top: 10, right: 20, bottom: 26, left: 40};
-    const HW = W - HM.left - HM.right;
+    let HW = W - HM.left - HM.right;
     const HH = 140 - HM.top - HM.bottom;
     const hg = histSVG.append("g").attr("transform", `translate(${HM.left},${HM.top})`);
     const hx = d3.scaleLinear()
-      .domain([0, d3.quantile(data.map(d => d.__dist).filter(Number.isFinite).sort(d3.ascending), 0.99) || 35])
+      .domain([0, d3.quantile(index.dist, 0.99) || 35])
       .range([0, HW]);
     const hAxX = hg.append("g").attr("transform", `translate(0,${HH})`);
     const brushG = hg.append("g");
 
     let brushedExtent = null;
+    let brushGesture = null;
+
+    // Brush for interactive distance filtering. Only user gestures update the
+    // filter, one drag at a time; the brush keeps its own selection across
+    // redraws.
+    const brush = d3.brushX()
+      .extent([[0, 0], [HW, HH]])
+      .on("start", ({sourceEvent}) => {
+        if (sourceEvent) brushGesture = {};
+      })
+      .on("brush end", ({selection, sourceEvent}) => {
+        if (!sourceEvent) return;
+        brushedExtent = selection ? selection.map(hx.invert) : null;
+        redrawGesture(brushGesture);
+      });
+    brushG.call(brush);
+
+    // Game-date timeline of court A's selection (see timeline.js)
+    const timeline = createTimeline({dates: index.date, made: index.made, width: W, onChange: redrawGesture});
+    vizWrap.appendChild(timeline.node);
+
+    // Quarter-by-minute heat strip of court A's selection (before the clock
+    // filter); clicking a minute filters to it, clicking again clears
+    const strip = createHeatStrip({
+      quarters: index.quarter, clocks: index.clock, made: index.made,
+      periods: allQuarters.length ? allQuarters : [1, 2, 3, 4],
+      width: W, showTip, hideTip,
+      onPick(q, [lo, hi]) {
+        const [from, to] = clock.range();
+        const same = clock.quarters().length === 1 && clock.quarters()[0] === q && from === lo && to === hi;
+        if (same) clock.set(allQuarters, [0, 720]);
+        else clock.set([q], [lo, hi]);
+        redraw();
+      }
+    });
+    vizWrap.appendChild(strip.node);
+
+    // The histogram, timeline and heat strip span the full width: new x ranges
+    // and brush extents, with the brushed ranges moved along (the brushes
+    // ignore moves without a source event). The caller redraws.
+    function resizeCharts(width) {
+      HW = width - HM.left - HM.right;
+      histSVG.attr("width", width);
+      hx.range([0, HW]);
+      brush.extent([[0, 0], [HW, HH]]);
+      brushG.call(brush).call(brush.move, brushedExtent && brushedExtent.map(hx));
+
+      timeline.resize(width);
+
+      strip.resize(width);
+    }
+
+    // Zone breakdown table, linked to the court zones
+    const zoneTable = document.createElement("table");
+    Object.assign(zoneTable.style, {
+      width: "100%",
+      borderCollapse: "collapse",
+      fontSize: "13px",
+      fontVariantNumeric: "tabular-nums"
+    });
+    const zoneTableWrap = document.createElement("div");
+    zoneTableWrap.style.overflowX = "auto";
+    zoneTableWrap.appendChild(zoneTable);
+    vizWrap.appendChild(zoneTableWrap);
+
+    // Per-player breakdown of the filtered shots, sortable by any column
+    const playerTableWrap = document.createElement("div");
+    playerTableWrap.style.maxHeight = "360px";
+    playerTableWrap.style.overflow = "auto";
+    const playerTable = document.createElement("table");
+    Object.assign(playerTable.style, {
+      width: "100%",
+      borderCollapse: "collapse",
+      fontSize: "13px",
+      fontVariantNumeric: "tabular-nums"
+    });
+    playerTableWrap.appendChild(playerTable);
+    vizWrap.appendChild(playerTableWrap);
+    let playerSort = {key: "attempts", desc: true};
+
+    // Text alternative to the charts: the stat cards and court A's filtered
+    // shots as plain tables, built only while the section is open
+    const DATA_TABLE_ROWS = 500;
+    const dataDetails = document.createElement("details");
+    dataDetails.style.fontSize = "13px";
+    const dataSummary = document.createElement("summary");
+    dataSummary.textContent = "Data table";
+    dataSummary.style.cursor = "pointer";
+    dataSummary.style.fontWeight = "600";
+    const dataBody = document.createElement("div");
+    dataDetails.appendChild(dataSummary);
+    dataDetails.appendChild(dataBody);
+    dataDetails.addEventListener("toggle", () => {
+      if (dataDetails.open) drawDataTable();
+    });
+    vizWrap.appendChild(dataDetails);
+
+    // Player/team selection plus every shared filter, in one pass over the
+    // typed columns. `all` is before the zone filter (for zone stats) and
+    // `shots` after it. The linked views each skip their own filter so they
+    // keep their context: `undated` for the timeline, `unclocked` for the heat
+    // strip, `undistanced` for the distance histogram.
+    function filterShots(selP, selT, selS) {
+      const players = codeMask(index.player, selP);
+      const teams = codeMask(index.team, selT);
+      const seasons = codeMask(index.season, selS);
+      const zones = codeMask(index.zone, zoneFilter);
+      const made = madeFilter === "Made" ? 1 : madeFilter === "Missed" ? 0 : -1;
+
+      // Distance mode bins are (lo, hi]; the brush is inclusive on both ends
+      const distOn = distFilter !== "All" || brushedExtent;
+      const distLo = distFilter === "10–23" ? 10 : distFilter === "23+" ? 23 : -Infinity;
+      const distHi = distFilter === "0–10" ? 10 : distFilter === "10–23" ? 23 : Infinity;
+      const [brushLo, brushHi] = brushedExtent ?? [-Infinity, Infinity];
+      const dateExtent = timeline.extent();
+      const [dateLo, dateHi] = dateExtent ? dateExtent.map(Number) : [];
+      const clockOn = clock.active();
+      const quarters = new Set(clock.quarters());
+      const [clockLo, clockHi] = clock.range();
+      // Like the player and season filters, the region applies to every set
+      const inRegion = region && regionContains(region);
+
+      // Shot indices; each list is filled from the front and trimmed at the end
+      const n = index.length;
+      const all = new Int32Array(n), shots = new Int32Array(n);
+      const undated = new Int32Array(n), unclocked = new Int32Array(n), undistanced = new Int32Array(n);
+      let nAll = 0, nShots = 0, nUndated = 0, nUnclocked = 0, nUndistanced = 0;
+      for (let i = 0; i < n; i++) {
+        if (!players[index.player.codes[i]] || !teams[index.team.codes[i]] || !seasons[index.season.codes[i]]) continue;
+        if (made >= 0 && index.made[i] !== made) continue;
+        if (inRegion && !inRegion(index.x[i], index.y[i])) continue;
+        const dist = index.dist[i];
+        const date = index.date[i];
+        const clock = index.clock[i];
+        const inDist = !distOn || (dist > distLo && dist <= distHi && dist >= brushLo && dist <= brushHi);
+        const inDate = !dateExtent || (date >= dateLo && date < dateHi);
+        const inClock = !clockOn || (quarters.has(index.quarter[i]) && clock >= clockLo && clock <= clockHi);
+        const inZone = !zoneFilter.size || zones[index.zone.codes[i]] === 1;
+        if (inDist && inDate && inClock) {
+          all[nAll++] = i;
+          if (inZone) shots[nShots++] = i;
+        }
+        if (inZone) {
+          if (inDist && inClock) undated[nUndated++] = i;
+          if (inDist && inDate) unclocked[nUnclocked++] = i;
+          if (inDate && inClock) undistanced[nUndistanced++] = i;
+        }
+      }
+      return {
+        all: all.subarray(0, nAll),
+        shots: shots.subarray(0, nShots),
+        zones: summarizeZones(Object.fromEntries(countsBy(index, all.subarray(0, nAll), "zone", xp))),
+        undated: undated.subarray(0, nUndated),
+        unclocked: unclocked.subarray(0, nUnclocked),
+        undistanced: undistanced.subarray(0, nUndistanced)
+      };
+    }
+
+    // Zones view for one selection, colored against the league baseline
+    function zoneView(stats) {
+      return {
+        zoneFill: z => {
+          const s = stats.get(z.id);
+          const l = leagueZones.get(z.id);
+          if (zoneColor === "Attempt Share vs League") return zoneShare(s.share - l.share);
+          return s.attempts ? zoneFG(s.pct - l.pct) : theme.empty;
+        },
+        zoneLabel: z => {
+          const s = stats.get(z.id);
+          return zoneColor === "Attempt Share vs League" ? d3.format(".0%")(s.share) : s.attempts ? d3.format(".0%")(s.pct) : "";
+        },
+        tip: z => {
+          const s = stats.get(z.id);
+          const l = leagueZones.get(z.id);
+          return [
+            `<b>${z.name}</b>`,
+            `Attempts: ${s.attempts} (${fmtRate(s.share)} of shots)`,
+            `FG%: ${fmtRate(s.pct)}`,
+            `League: ${fmtRate(l.pct)} FG, ${fmtRate(l.share)} of shots`
+          ];
+        }
+      };
+    }
+
+    // A-minus-B zone map: FG% or shot-share difference, per the Zone Color control
+    function diffView(a, b) {
+      const byShare = zoneColor === "Attempt Share vs League";
+      const delta = z => {
+        const sa = a.get(z.id);
+        const sb = b.get(z.id);
+        return byShare ? sa.share - sb.share : sa.pct - sb.pct;
+      };
+      return {
+        mode: "Zones",
+        zoneFill: z => Number.isFinite(delta(z)) ? (byShare ? zoneShare : zoneFG)(delta(z)) : theme.empty,
+        zoneLabel: z => Number.isFinite(delta(z)) ? d3.format("+.0%")(delta(z)) : "",
+        tip: z => {
+          const sa = a.get(z.id);
+          const sb = b.get(z.id);
+          return [
+            `<b>${z.name}</b> (A − B)`,
+            `A: ${sa.attempts} FGA, ${fmtRate(sa.pct)} FG, ${fmtRate(sa.share)} of shots`,
+            `B: ${sb.attempts} FGA, ${fmtRate(sb.pct)} FG, ${fmtRate(sb.share)} of shots`
+          ];
+        }
+      };
+    }
 
     function redraw() {
       // Filters
-      let filtered = data.filter(d => selPlayers.includes(d.__player) && selTeams.includes(d.__team));
-      if (madeFilter === "Made") filtered = filtered.filter(d => d.__made === 1);
-      if (madeFilter === "Missed") filtered = filtered.filter(d => d.__made === 0);
-      if (distFilter !== "All") {
-        if (distFilter === "0–10") filtered = filtered.filter(d => d.__dist <= 10);
-        if (distFilter === "10–23") filtered = filtered.filter(d => d.__dist > 10 && d.__dist <= 23);
-        if (distFilter === "23+") filtered = filtered.filter(d => d.__dist > 23);
-      }
-      if (brushedExtent) {
-        const [d0, d1] = brushedExtent;
-        filtered = filtered.filter(d => d.__dist >= d0 && d.__dist <= d1);
+      const A = filterShots(selPlayers, selTeams, selSeasons);
+      zoneStats = A.zones;
+
+      currentIds = A.shots;
+      currentValue = null;
+      // Captions first: the courts' screen reader descriptions start with them
+      courtA.caption.textContent = compareMode ? `A: ${describeSelection(selPlayers, selTeams, selSeasons)}` : "";
+      courtA.render({shots: A.shots, ...zoneView(A.zones)});
+
+      if (compareMode) {
+        const B = filterShots(selPlayersB, selTeamsB, selSeasonsB);
+        courtB.caption.textContent = `B: ${describeSelection(selPlayersB, selTeamsB, selSeasonsB)}`;
+        courtB.render({shots: B.shots, ...zoneView(B.zones)});
+        courtDiff.caption.textContent = `A − B ${zoneColor === "Attempt Share vs League" ? "shot share" : "FG%"}`;
+        courtDiff.render(diffView(A.zones, B.zones));
+        drawCompareTable(summarize(countsAt(index, A.shots, xp)), summarize(countsAt(index, B.shots, xp)));
+      } else {
+        // Hidden, but still redrawn on zoom: keep it empty
+        courtB.render({shots: [], ...zoneView(A.zones)});
       }
 
-      // Dots
-      const U = dots.selectAll("circle").data(filtered, (d,i) => i);
-      U.join(
-        enter => enter.append("circle")
-          .attr("cx", d => x(d.__x))
-          .attr("cy", d => y(d.__y))
-          .attr("r", 4)
-          .attr("fill", d => d.__made ? "#4a90e2" : "#e74c3c") // blue for made, red for missed
-          .attr("fill-opacity", 0.7)
-          .attr("stroke", d => d.__made ? "#6ba3e8" : "#ec7063")
-          .attr("stroke-width", 0.5)
-          .on("mousemove", (event, d) => {
-            tip.style.opacity = "1";
-            const rows = [
-              `<b>${d.__player}</b> (${d.__team})`,
-              `Result: ${d.__made ? "Made ✓" : "Missed ✗"}`,
-              `Distance: ${Number.isFinite(d.__dist) ? d.__dist.toFixed(1) : "NA"} ft`,
-              d.__date ? `Date: ${d.__date.toISOString().slice(0,10)}` : "",
-              d.__q != null ? `Q${d.__q}  ${d.__mins ?? ""}:${String(d.__secs ?? "").padStart(2,"0")}` : ""
-            ].filter(Boolean);
-            tip.innerHTML = rows.join("<br>");
-            tip.style.left = (event.clientX + 12) + "px";
-            tip.style.top = (event.clientY + 12) + "px";
-          })
-          .on("mouseleave", () => tip.style.opacity = "0"),
-        update => update,
-        exit => exit.remove()
-      );
+      drawRegionPanel(A.shots);
+      drawZoneTable();
+      drawStats(A.shots);
+      drawPlayerTable(A.shots);
+      timeline.draw(A.undated);
+      strip.draw(A.unclocked, {clock, emphasis: theme.emphasis});
 
-      // Histogram (recompute from displayed subset? here we use ALL for context)
-      const values = data.map(d => d.__dist).filter(Number.isFinite);
-      const bins = d3.bin().domain(hx.domain()).thresholds(25)(values);
-      const hy = d3.scaleLinear().domain([0, d3.max(bins, b => b.length)]).range([HH, 0]).nice();
+      // Histogram of court A's selection before the distance filters, so the
+      // brush keeps its context and the other filters carry through
+      const values = Array.from(A.undistanced, i => index.dist[i]).filter(Number.isFinite);
+      const distBins = d3.bin().domain(hx.domain()).thresholds(25)(values);
+      const hy = d3.scaleLinear().domain([0, d3.max(distBins, b => b.length) || 1]).range([HH, 0]).nice();
 
-      const bars = hg.selectAll("rect.bin").data(bins);
+      const bars = hg.selectAll("rect.bin").data(distBins);
       bars.join(
         enter => enter.append("rect")
           .attr("class", "bin")
@@ -262,34 +1277,158 @@ export default function InteractiveViz(CONFIG) {
       );
 
       hAxX.call(d3.axisBottom(hx).ticks(8).tickFormat(d => `${d} ft`))
-        .selectAll("text").style("fill", "#e0e0e0");
-      hAxX.selectAll("line, path").style("stroke", "#666");
-
-      // Brush for interactive distance filtering
-      const brush = d3.brushX()
-        .extent([[0, 0], [HW, HH]])
-        .on("brush end", ({selection}) => {
-          if (!selection) {
-            brushedExtent = null;
-            redraw();
-            return;
+        .selectAll("text").style("fill", "var(--viz-text)");
+      hAxX.selectAll("line, path").style("stroke", "var(--viz-lines)");
+      const peak = d3.greatest(distBins, b => b.length);
+      histSVG.attr("aria-label", `Histogram of shot distance: ${values.length.toLocaleString()} shots` +
+        (peak?.length ? `, most often ${peak.x0}–${peak.x1} ft (${peak.length.toLocaleString()})` : "") +
+        (brushedExtent ? `. Brushed to ${brushedExtent[0].toFixed(1)}–${brushedExtent[1].toFixed(1)} ft` : "") + ".");
+
+      if (dataDetails.open) drawDataTable();
+      syncUrl();
+      notify();
+    }
+
+    // Zone stats of the current (court A) selection, shown in the zone table
+    let zoneStats = leagueZones;
+
+    function drawZoneTable() {
+      renderZoneTable(zoneTable, {zones: zoneStats, league: leagueZones, selected: zoneFilter, onToggle: toggleZone});
+    }
+
+    // Baseline for the selected players' teams: every shot those teams took
+    function teamBaseline(shots) {
+      const seen = new Uint8Array(index.team.values.length);
+      for (const i of shots) seen[index.team.codes[i]] = 1;
+      const teams = index.team.values.filter((t, code) => seen[code]).sort();
+      const key = teams.join("|");
+      if (!teamSummaries.has(key)) {
+        const counts = teams.reduce((c, t) => baseline.teams[t] ? addCounts(c, baseline.teams[t]) : c, emptyCounts());
+        const mask = codeMask(index.team, teams);
+        const expectedCounts = summarizeExpected(countsAt(index, baselineIds.filter(i => mask[index.team.codes[i]]), xp));
+        teamSummaries.set(key, {teams, summary: {...summarize(counts), ...expectedCounts}});
+      }
+      return teamSummaries.get(key);
+    }
+
+    // value: formatted figure; rate: number compared against the baselines
+    // (null for counts, which show their share of the baseline instead)
+    const STAT_CARDS = [
+      {label: "Attempts", value: s => s.attempts.toLocaleString(), count: s => s.attempts},
+      {label: "Makes", value: s => s.makes.toLocaleString(), count: s => s.makes},
+      {label: "FG%", value: s => fmtRate(s.pct), rate: s => s.pct, better: 1},
+      {label: "2PT / 3PT", value: s => `${s.twos.toLocaleString()} / ${s.threes.toLocaleString()}`, rate: s => s.threeRate, note: "3PA rate"},
+      {label: "eFG%", value: s => fmtRate(s.efg), rate: s => s.efg, better: 1},
+      {label: "Avg Distance", value: s => Number.isFinite(s.avgDist) ? `${s.avgDist.toFixed(1)} ft` : "–", rate: s => s.avgDist, unit: "ft"},
+      {label: "Points/Shot", value: s => Number.isFinite(s.pps) ? s.pps.toFixed(2) : "–", rate: s => s.pps, unit: "pts", better: 1},
+      // Shot quality (what the model expects from these locations) and shot
+      // making (actual minus expected)
+      {label: "xPts/Shot", value: s => Number.isFinite(s.xpps) ? s.xpps.toFixed(2) : "–", rate: s => s.xpps, unit: "pts", better: 1},
+      {label: "Pts/Shot vs Exp.", value: s => Number.isFinite(s.ppsOverExpected) ? d3.format("+.2f")(s.ppsOverExpected) : "–",
+        rate: s => s.ppsOverExpected, unit: "pts", better: 1}
+    ];
+
+    function fmtDelta(card, a, b) {
+      const delta = a - b;
+      if (!Number.isFinite(delta)) return "–";
+      if (card.unit === "ft") return `${d3.format("+.1f")(delta)} ft`;
+      if (card.unit === "pts") return d3.format("+.2f")(delta);
+      return `${d3.format("+.1f")(delta * 100)} pts`;
+    }
+
+    // Summary of the shots plus the league and team baselines it's compared to
+    function summaryWithBaselines(shots) {
+      const {teams, summary: team} = teamBaseline(shots);
+      const counts = countsAt(index, shots, xp);
+      return {
+        s: {...summarize(counts), ...summarizeExpected(counts)},
+        baselines: [
+          {label: "League", summary: leagueSummary},
+          {label: teams.length === 1 ? teams[0] : `${teams.length} teams`, summary: team}
+        ]
+      };
+    }
+
+    function drawStats(shots) {
+      const {s, baselines} = summaryWithBaselines(shots);
+      statsPanel.innerHTML = "";
+      for (const card of STAT_CARDS) {
+        const el = document.createElement("div");
+        Object.assign(el.style, {
+          background: "var(--viz-surface)",
+          border: "1px solid var(--viz-border)",
+          borderRadius: "6px",
+          padding: "6px 8px",
+          fontSize: "12px"
+        });
+        const lines = baselines.map(({label, summary}) => {
+          if (card.count) {
+            const share = card.count(summary) ? card.count(s) / card.count(summary) : NaN;
+            return `${label}: ${card.value(summary)} (${fmtRate(share)})`;
           }
-          const [x0, x1] = selection.map(hx.invert);
-          brushedExtent = [x0, x1];
-          redraw();
+          const delta = card.rate(s) - card.rate(summary);
+          const color = !card.better || !Number.isFinite(delta) || delta === 0 ? "var(--viz-muted)" : delta > 0 ? palette.better[themeName] : palette.worse[themeName];
+          const baseValue = card.note ? fmtRate(card.rate(summary)) : card.value(summary);
+          return `${label}: ${baseValue} <span style="color:${color}">${fmtDelta(card, card.rate(s), card.rate(summary))}</span>`;
         });
-
-      brushG.call(brush);
-      if (brushedExtent) {
-        brushG.call(brush.move, brushedExtent.map(hx));
+        el.innerHTML = `<div style="color:var(--viz-muted)">${card.label}</div>` +
+          `<div style="font-size:20px;font-weight:600">${card.value(s)}</div>` +
+          (card.note ? `<div>${card.note} ${fmtRate(card.rate(s))}</div>` : "") +
+          lines.map(line => `<div style="color:var(--viz-muted)">${line}</div>`).join("");
+        statsPanel.appendChild(el);
       }
     }
 
+    function drawPlayerTable(shots) {
+      renderPlayerTable(playerTable, {
+        index, shots, xp,
+        sort: playerSort,
+        onSort: sort => {
+          playerSort = sort;
+          drawPlayerTable(shots);
+        }
+      });
+    }
+
+    // The stat cards and up to DATA_TABLE_ROWS of court A's shots
+    function drawDataTable() {
+      const shots = currentIds;
+      const {s, baselines} = summaryWithBaselines(shots);
+      const summary = accessibleTable(`Summary: ${describeFilters()}`,
+        ["Statistic", "Selection", ...baselines.map(b => b.label)],
+        STAT_CARDS.map(card => [card.label, card.value(s), ...baselines.map(b => card.value(b.summary))]));
+
+      const fmtDist = v => Number.isFinite(v) ? v.toFixed(1) : "–";
+      const seasons = allSeasons.length > 1;
+      const head = ["Player", "Team", ...(seasons ? ["Season"] : []), "Result", "Zone", "Date", "Period", "Time left", "Distance (ft)", "Expected FG%"];
+      const rows = Array.from(shots.subarray(0, DATA_TABLE_ROWS), shotRow).map(d => [
+        d.__player,
+        d.__team,
+        ...(seasons ? [d.__season] : []),
+        d.__made ? "Made" : "Missed",
+        zoneById.get(d.__zone)?.name ?? d.__zone,
+        d.__date ? d.__date.toISOString().slice(0, 10) : "–",
+        Number.isFinite(d.__q) ? quarterLabel(d.__q) : "–",
+        Number.isFinite(d.__clock) ? fmtClock(d.__clock) : "–",
+        fmtDist(d.__dist),
+        fmtRate(d.__xp)
+      ]);
+      const caption = shots.length > DATA_TABLE_ROWS
+        ? `Shots: the first ${DATA_TABLE_ROWS.toLocaleString()} of ${shots.length.toLocaleString()} (Export CSV has them all)`
+        : `Shots: ${shots.length.toLocaleString()}`;
+      const shotTable = accessibleTable(caption, head, rows, {textColumns: head.length - 2});
+      dataBody.replaceChildren(summary, shotTable);
+    }
+
+    function drawCompareTable(a, b) {
+      renderCompareTable(compareTable, a, b);
+    }
+
     function drawHalfCourt(target, sx, sy) {
       // Clear existing court elements
       target.selectAll("*").remove();
 
-      const strokeColor = "#666";
+      const strokeColor = theme.lines;
       const strokeWidth = 2;
 
       // Helper to draw lines
@@ -301,6 +1440,17 @@ export default function InteractiveViz(CONFIG) {
           .attr("stroke-width", style.width || strokeWidth)
           .attr("opacity", style.opacity || 1);
 
+      // Helper for curves: court-unit points through the same scales as the
+      // zone outlines, so arcs and circles line up with the zones
+      const curveLine = d3.line().x(p => sx(p[0])).y(p => sy(p[1]));
+      const curve = (points, style = {}) =>
+        target.append("path")
+          .attr("d", curveLine(points))
+          .attr("fill", "none")
+          .attr("stroke", strokeColor)
+          .attr("stroke-width", strokeWidth)
+          .attr("opacity", style.opacity || 1);
+
       // NBA Half-Court Dimensions (in inches/10 converted to standard coords)
       // Baseline at y=0 (basket end), half-court at y≈470
       // Court width: x ∈ [-250, 250]
@@ -316,7 +1466,7 @@ export default function InteractiveViz(CONFIG) {
 
       // BASKET & BACKBOARD
       // Hoop center: (0, 52.5) - standard is 5.25 feet from baseline
-      const hoopY = 52.5;
+      const {hoopY} = COURT;
       target.append("circle")
         .attr("cx", sx(0))
         .attr("cy", sy(hoopY))
@@ -331,8 +1481,7 @@ export default function InteractiveViz(CONFIG) {
       // PAINT / KEY (the rectangle under the basket)
       // Width: 16 feet = 160 units (±80 from center)
       // Length: 19 feet = 190 units from baseline
-      const paintWidth = 80;
-      const paintLength = 190;
+      const {paintWidth, paintLength} = COURT;
       
       target.append("rect")
         .attr("x", sx(-paintWidth))
@@ -346,83 +1495,429 @@ export default function InteractiveViz(CONFIG) {
       // FREE THROW CIRCLE
       // Center at (0, 190) - 19 feet from baseline
       // Radius: 6 feet = 60 units
-      const ftY = 190;
-      const ftRadius = 60;
+      const {paintLength: ftY, ftRadius} = COURT;
       
       // Draw full circle
-      target.append("circle")
-        .attr("cx", sx(0))
-        .attr("cy", sy(ftY))
-        .attr("r", ftRadius)
-        .attr("fill", "none")
-        .attr("stroke", strokeColor)
-        .attr("stroke-width", strokeWidth);
+      curve(courtArc(0, ftY, ftRadius, 0, 2 * Math.PI, 48));
 
       // RESTRICTED AREA (small arc under basket)
-      // Radius: 4 feet = 40 units, centered at hoop
-      const restrictedRadius = 40;
-      const restrictedArc = d3.arc()
-        .innerRadius(restrictedRadius)
-        .outerRadius(restrictedRadius)
-        .startAngle(-Math.PI / 2)  // Start from bottom (-90°)
-        .endAngle(Math.PI / 2);     // End at top (90°)
-      
-      target.append("path")
-        .attr("d", restrictedArc())
-        .attr("transform", `translate(${sx(0)},${sy(hoopY)})`)
-        .attr("fill", "none")
-        .attr("stroke", strokeColor)
-        .attr("stroke-width", strokeWidth);
+      // Radius: 4 feet = 40 units, centered at hoop, open toward the baseline
+      const {restrictedRadius} = COURT;
+      curve(courtArc(0, hoopY, restrictedRadius, 0, Math.PI));
 
       // THREE-POINT LINE
       // Corners: straight lines from baseline to break point
       // Break point: 14 feet from sideline = x = ±220, extends to y ≈ 140
-      const cornerX = 220;
-      const breakY = 140;
+      const {cornerX, breakY} = COURT;
       
       line(-cornerX, -50, -cornerX, breakY);
       line(cornerX, -50, cornerX, breakY);
       
-      // Arc portion: 23.75 feet from hoop center = 237.5 units radius
-      const threeRadius = 237.5;
-      
-      // Calculate arc angles
-      // Arc goes from left corner break to right corner break
-      // The break points are at (±220, 140)
-      // We need angle from hoop at (0, hoopY) to break point
-      const dx = cornerX;
-      const dy = breakY - hoopY;
-      const breakAngle = Math.atan2(dy, dx);
-      
-      const threeArc = d3.arc()
-        .innerRadius(threeRadius)
-        .outerRadius(threeRadius)
-        .startAngle(-breakAngle)   // Left side (negative x)
-        .endAngle(breakAngle);      // Right side (positive x)
-      
-      target.append("path")
-        .attr("d", threeArc())
-        .attr("transform", `translate(${sx(0)},${sy(hoopY)})`)
-        .attr("fill", "none")
-        .attr("stroke", strokeColor)
-        .attr("stroke-width", strokeWidth);
+      // Arc portion: 23.75 feet from hoop center = 237.5 units radius,
+      // from the right corner break over the top to the left one (the same
+      // arc the three-point zones are cut from)
+      const {threeRadius} = COURT;
+      curve(courtArc(0, hoopY, threeRadius, BREAK_ANGLE, Math.PI - BREAK_ANGLE, 64));
 
       // OPTIONAL: Add center court circle for reference
-      target.append("circle")
-        .attr("cx", sx(0))
-        .attr("cy", sy(470))
-        .attr("r", 60)
-        .attr("fill", "none")
-        .attr("stroke", strokeColor)
-        .attr("stroke-width", strokeWidth)
-        .attr("opacity", 0.3);
+      curve(courtArc(0, 470, 60, 0, 2 * Math.PI, 48), {opacity: 0.3});
+    }
+
+    // Court A's shots after every filter, as last drawn
+    let currentIds = new Int32Array(0);
+    // `value`: those shots as their count and a copy of their ids, made once
+    // per selection. A row object per shot would be the whole season with
+    // every player selected; getFilteredShots() builds the rows on request.
+    let currentValue = null;
+    const currentSelection = () => currentValue ??= {count: currentIds.length, ids: currentIds.slice()};
+
+    // One-line description of the active filters for export titles
+    function describeFilters() {
+      const parts = [describeSelection(selPlayers, selTeams, selSeasons)];
+      if (madeFilter !== "All") parts.push(madeFilter);
+      if (distFilter !== "All") parts.push(`${distFilter} ft`);
+      if (brushedExtent) parts.push(`${brushedExtent[0].toFixed(1)}–${brushedExtent[1].toFixed(1)} ft`);
+      if (zoneFilter.size) parts.push(Array.from(zoneFilter, id => zoneById.get(id).name).join(", "));
+      if (region) parts.push(regionName ?? "Custom region");
+      if (timeline.extent()) parts.push(timeline.label());
+      if (clock.active()) parts.push(clock.label());
+      return parts.join(" · ");
+    }
+
+    // Legend entries for the current view: swatch color and label
+    function legendItems() {
+      const pct = d3.format(".0%");
+      const rel = d3.format("+.0%");
+      if (viewMode === "Hexbin") {
+        const items = hexColor === "FG% vs League"
+          ? [-0.15, -0.05, 0.05, 0.15].map(v => ({color: hexRel(v), label: `${rel(v)} vs league`}))
+          : hexColor === "Makes vs Expected"
+          ? [-0.15, -0.05, 0.05, 0.15].map(v => ({color: hexRel(v), label: `${rel(v)} vs expected`}))
+          : [0.3, 0.4, 0.5, 0.6].map(v => ({color: hexFG(v), label: `${pct(v)} FG`}));
+        return [...items, {label: "Hexagon size = attempts"}];
+      }
+      if (viewMode === "Zones") {
+        const share = zoneColor === "Attempt Share vs League";
+        return [-0.1, -0.05, 0, 0.05, 0.1].map(v => ({
+          color: (share ? zoneShare : zoneFG)(v),
+          label: `${rel(v)} ${share ? "share" : "FG"} vs league`
+        }));
+      }
+      return [{color: palette.made.fill, label: "Made"}, {color: palette.missed.fill, label: palette.missedMark === "cross" ? "Missed (×)" : "Missed"}];
+    }
+
+    // Court A as a standalone SVG: title, active filters, court at the current
+    // zoom with the shot layer as vector dots, and a legend
+    function buildCourtSVG() {
+      const headerH = 56;
+      const legendH = 36;
+      const totalH = headerH + H + legendH;
+      const svg = d3.create("svg")
+        .attr("width", W)
+        .attr("height", totalH)
+        .attr("viewBox", [0, 0, W, totalH])
+        .attr("font-family", "system-ui, -apple-system, Segoe UI, Roboto, sans-serif");
+      svg.append("rect").attr("width", W).attr("height", totalH).attr("fill", theme.background);
+      svg.append("text")
+        .attr("x", 16).attr("y", 26)
+        .attr("font-size", 18).attr("font-weight", 600).attr("fill", theme.text)
+        .text(title);
+      svg.append("text")
+        .attr("x", 16).attr("y", 46)
+        .attr("font-size", 13).attr("fill", theme.muted)
+        .text(`${describeFilters()} · ${currentIds.length.toLocaleString()} shots`);
+
+      const body = svg.append("g").attr("transform", `translate(0,${headerH})`);
+      body.append("clipPath").attr("id", "court-clip").append("rect").attr("width", W).attr("height", H);
+      const clipped = body.append("g").attr("clip-path", "url(#court-clip)");
+      // Only the dots inside the zoomed viewport
+      const visible = Array.from(courtA.shots()).filter(i => {
+        const [sx, sy] = zt.apply([px[i], py[i]]);
+        return sx >= -M.left && sx <= W && sy >= -M.top && sy <= H;
+      });
+      const crosses = palette.missedMark === "cross";
+      const marks = clipped.append("g")
+        .attr("transform", `translate(${M.left},${M.top}) ${zt}`);
+      marks.selectAll("circle")
+        .data(crosses ? visible.filter(i => index.made[i]) : visible)
+        .join("circle")
+        .attr("cx", i => px[i])
+        .attr("cy", i => py[i])
+        .attr("r", 4)
+        .attr("fill", i => palette[index.made[i] ? "made" : "missed"].fill)
+        .attr("fill-opacity", 0.7)
+        .attr("stroke", i => palette[index.made[i] ? "made" : "missed"].stroke)
+        .attr("stroke-width", 0.5);
+      if (crosses) {
+        const missed = d3.path();
+        for (const i of visible) if (!index.made[i]) crossPath(missed, px[i], py[i], 4);
+        marks.append("path")
+          .attr("d", missed)
+          .attr("fill", "none")
+          .attr("stroke", palette.missed.fill)
+          .attr("stroke-width", 1.5);
+      }
+      clipped.node().appendChild(courtA.layer.cloneNode(true));
+
+      const legend = svg.append("g").attr("transform", `translate(16,${headerH + H + legendH / 2})`);
+      let lx = 0;
+      for (const {color, label} of legendItems()) {
+        if (color) {
+          legend.append("rect").attr("x", lx).attr("y", -6).attr("width", 12).attr("height", 12).attr("fill", color);
+          lx += 18;
+        }
+        legend.append("text").attr("x", lx).attr("dy", "0.35em").attr("font-size", 12).attr("fill", theme.text).text(label);
+        lx += label.length * 7 + 20;
+      }
+
+      return {node: svg.node(), width: W, height: totalH};
+    }
+
+    async function exportCourt(format) {
+      const {node, width, height} = buildCourtSVG();
+      const markup = serializeSVG(node);
+      const name = `shotchart-${slugify(describeFilters())}`;
+      if (format === "svg") downloadBlob(new Blob([markup], {type: "image/svg+xml"}), `${name}.svg`);
+      else downloadBlob(await svgToPNG(markup, width, height, 3), `${name}.png`);
+    }
+
+    // The filtered rows with the CSVs' own column names (no internal fields);
+    // seasons with different headers export the union of them
+    const exportColumns = Array.from(new Set(adapted.flatMap(a => a.headers)));
+
+    function exportShots(format) {
+      const rows = Array.from(currentIds, i => {
+        const d = shotRow(i);
+        return Object.fromEntries(exportColumns.map(c => [c, d[c]]));
+      });
+      const name = `shots-${slugify(describeFilters())}`;
+      if (format === "csv") downloadBlob(new Blob([d3.csvFormat(rows, exportColumns)], {type: "text/csv"}), `${name}.csv`);
+      else downloadBlob(new Blob([JSON.stringify(rows, null, 2)], {type: "application/json"}), `${name}.json`);
+    }
+
+    // Snapshot of every filter, brush and the zoom (see urlstate.js)
+    function getState() {
+      return {
+        players: selPlayers.slice(),
+        teams: selTeams.slice(),
+        seasons: selSeasons.slice(),
+        result: madeFilter,
+        dist: distFilter,
+        brush: brushedExtent && brushedExtent.slice(),
+        view: viewMode,
+        hexColor,
+        zoneColor,
+        zones: Array.from(zoneFilter),
+        region: region && region.map(p => p.slice()),
+        mode: compareMode ? "Compare" : "Single",
+        playersB: selPlayersB.slice(),
+        teamsB: selTeamsB.slice(),
+        seasonsB: selSeasonsB.slice(),
+        dates: timeline.extent()?.slice() ?? null,
+        quarters: clock.quarters().slice(),
+        clock: clock.range().slice(),
+        timeline: timeline.mode(),
+        palette: paletteName,
+        zoom: {k: zt.k, x: zt.x, y: zt.y}
+      };
+    }
+
+    // Apply a (partial) state: update variables, controls, brushes and zoom, then redraw
+    function setState(state) {
+      const s = {...getState(), ...state};
+      [selPlayers, selTeams] = pickersA.set(s.players, s.teams);
+      selSeasons = allSeasons.filter(v => s.seasons.includes(v));
+      selSeasonsB = allSeasons.filter(v => s.seasonsB.includes(v));
+      updateBaselines();
+      madeFilter = s.result;
+      distFilter = s.dist;
+      viewMode = s.view;
+      hexColor = s.hexColor;
+      zoneColor = s.zoneColor;
+      zoneFilter = new Set(s.zones);
+      region = validRegion(s.region) ? s.region.map(p => p.slice()) : null;
+      regionName = region ? regionPanel.nameOf(region) : null;
+      compareMode = s.mode === "Compare";
+      [selPlayersB, selTeamsB] = pickersB.set(s.playersB, s.teamsB);
+      timeline.setMode(s.timeline);
+      setPalette(s.palette);
+      setSelectValue(mmSelect, madeFilter);
+      setSelectValue(distMode, distFilter);
+      setSelectValue(viewSelect, viewMode);
+      setSelectValue(hexColorSelect, hexColor);
+      setSelectValue(zoneColorSelect, zoneColor);
+      setSelectValue(modeSelect, s.mode);
+      setSelectValue(seasonSelect, selSeasons);
+      setSelectValue(seasonSelectB, selSeasonsB);
+      setSelectValue(paletteSelect, paletteName);
+
+      brushedExtent = s.brush && s.brush.slice();
+      brushG.call(brush.move, brushedExtent && brushedExtent.map(hx));
+      timeline.stop();
+      timeline.setExtent(s.dates && s.dates.slice());
+      clock.set(s.quarters, s.clock);
+
+      syncingZoom = true;
+      for (const c of courts) c.svg.call(zoom.transform, d3.zoomIdentity.translate(s.zoom.x, s.zoom.y).scale(s.zoom.k));
+      syncingZoom = false;
+      zt = d3.zoomTransform(courtA.svg.node());
+      for (const c of courts) c.applyZoom();
+
+      layout();
+      redraw();
     }
 
-    // Initial draw
-    redraw();
+    // URL state: every filter change pushes a history entry, however quickly
+    // it follows the last one, so Back steps through them one at a time. A
+    // continuous gesture (a brush or slider drag) is one entry that follows it
+    // along; zoom and playback only replace the current one.
+    let restoring = false;
+    // The gesture of the change being drawn, and that of the current entry
+    let gesture = null;
+    let urlGesture = null;
+
+    function syncUrl({replace = false} = {}) {
+      if (!urlState || restoring) return;
+      const search = encodeState(linkState(), DEFAULTS);
+      if (search === location.search) return;
+      const url = location.pathname + search + location.hash;
+      if (replace || timeline.playing() || (gesture && gesture === urlGesture)) history.replaceState(history.state, "", url);
+      else history.pushState(history.state, "", url);
+      urlGesture = gesture;
+    }
+
+    // Redraw for one step of a continuous gesture; `token` is the same object
+    // for every step of it
+    function redrawGesture(token) {
+      gesture = token;
+      redraw();
+      gesture = null;
+    }
+
+    // getState() for links. Narrowing the teams selects every player on them,
+    // which would be one parameter per player: when the default players
+    // cover that whole roster, the link leaves the players out and restoring
+    // it narrows the defaults to the same teams.
+    function linkState() {
+      const state = getState();
+      for (const [players, teams] of [["players", "teams"], ["playersB", "teamsB"]]) {
+        const roster = playersOn(state[teams]);
+        const defaults = new Set(DEFAULTS[players]);
+        if (state[players].length === roster.size && Array.from(roster).every(p => defaults.has(p))) state[players] = DEFAULTS[players];
+      }
+      return state;
+    }
+
+    // Valid values per state key, for links and setFilters
+    function stateChoices() {
+      return {
+        players: allPlayers,
+        teams: allTeams,
+        playersB: allPlayers,
+        teamsB: allTeams,
+        seasons: allSeasons,
+        seasonsB: allSeasons,
+        result: optionsOf(mmSelect),
+        dist: optionsOf(distMode),
+        view: optionsOf(viewSelect),
+        hexColor: optionsOf(hexColorSelect),
+        zoneColor: optionsOf(zoneColorSelect),
+        zones: ZONES.map(z => z.id),
+        mode: optionsOf(modeSelect),
+        quarters: allQuarters,
+        timeline: TIMELINE_MODES,
+        palette: optionsOf(paletteSelect)
+      };
+    }
+
+    // "input" when court A's filtered shots change, "statechange" (with the
+    // state as detail) when anything in getState() does
+    let notifiedShots = null;
+    let notifiedState = null;
+    let destroyed = false;
+
+    function notify() {
+      if (destroyed) return;
+      const state = getState();
+      const key = JSON.stringify(state);
+      if (key !== notifiedState) {
+        notifiedState = key;
+        root.dispatchEvent(new CustomEvent("statechange", {detail: state}));
+      }
+      const same = notifiedShots && currentIds.length === notifiedShots.length &&
+        currentIds.every((i, j) => i === notifiedShots[j]);
+      if (same) return;
+      notifiedShots = currentIds;
+      root.dispatchEvent(new Event("input", {bubbles: true}));
+    }
+
+    function restoreFromUrl() {
+      const {state, unknown} = decodeState(location.search, stateChoices());
+      restoring = true;
+      setState({...DEFAULTS, ...state});
+      restoring = false;
+      // Drop anything that was ignored from the address bar
+      syncUrl({replace: true});
+      statusText.textContent = unknown.length ? `Ignored unknown ${unknown.join(", ")} in the link` : "";
+    }
+
+    // Initial draw. A configured starting state becomes the default, so it
+    // stays out of the URL.
+    if (initialState) {
+      restoring = true;
+      setState(initialState);
+      restoring = false;
+    }
+    const DEFAULTS = getState();
+    if (urlState) {
+      restoreFromUrl();
+      window.addEventListener("popstate", restoreFromUrl);
+    } else {
+      layout();
+      redraw();
+    }
+
+    // Follow the container's width
+    const resizeObserver = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(([entry]) => {
+      const width = Math.floor(entry.contentRect.width);
+      if (!width || width === containerWidth) return;
+      containerWidth = width;
+      layout();
+      redraw();
+    });
+    resizeObserver?.observe(vizWrap);
+
+    // Follow the page theme (Framework's auto themes switch with the OS)
+    function setTheme(name) {
+      themeName = name;
+      theme = THEMES[name];
+      setThemeVars(root, theme);
+      for (const c of courts) c.drawLines();
+      redraw();
+    }
+    const unwatchTheme = themeOption === "auto" ? watchPageTheme(setTheme) : () => {};
+
+    // What setFilters accepts for the keys that aren't picked from choices
+    const ascending = (v, valid) => Array.isArray(v) && v.length === 2 && v.every(valid) && v[0] <= v[1];
+    const FILTER_SHAPES = {
+      brush: {valid: v => v === null || ascending(v, Number.isFinite), shape: "null or [min, max] feet"},
+      dates: {valid: v => v === null || ascending(v, d => d instanceof Date && !isNaN(d)), shape: "null or [start, end) Dates"},
+      clock: {valid: v => ascending(v, Number.isFinite), shape: "[min, max] seconds left"},
+      zoom: {valid: v => v != null && [v.k, v.x, v.y].every(Number.isFinite) && v.k > 0, shape: "{k, x, y} with k > 0"},
+      region: {valid: v => v == null || validRegion(v), shape: "at least three [x, y] points around some area"}
+    };
+
+    // Programmatic filters: a partial state with any getState() keys. Unlike
+    // links, unknown keys or values throw instead of being skipped, and they
+    // throw before anything changes. Lists take any iterable (a Set, say).
+    function setFilters(filters) {
+      const choices = stateChoices();
+      const state = {};
+      for (const [key, value] of Object.entries(filters)) {
+        if (!(key in DEFAULTS)) throw new Error(`Unknown filter "${key}"`);
+        if (FILTER_SHAPES[key]) {
+          if (!FILTER_SHAPES[key].valid(value)) throw new Error(`${key} needs ${FILTER_SHAPES[key].shape}`);
+          state[key] = value;
+        } else if (Array.isArray(DEFAULTS[key])) {
+          if (value == null || typeof value === "string" || !value[Symbol.iterator]) throw new Error(`${key} needs a list`);
+          state[key] = Array.from(value);
+        } else {
+          state[key] = value;
+        }
+        if (!choices[key]) continue;
+        const bad = (Array.isArray(DEFAULTS[key]) ? state[key] : [state[key]]).filter(v => !choices[key].includes(v));
+        if (bad.length) throw new Error(`Unknown ${key} ${bad.map(v => `"${v}"`).join(", ")}`);
+      }
+      setState(state);
+    }
+
+    // Shots after every filter as row objects, for court A (the default) or
+    // court B; built afresh on each call
+    function getFilteredShots(court = "A") {
+      return Array.from(court === "B" ? filterShots(selPlayersB, selTeamsB, selSeasonsB).shots : currentIds, shotRow);
+    }
+
+    // Stop everything the explorer started outside its own nodes, then
+    // remove it. Called by `invalidation` when given; safe to call twice.
+    function destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      timeline.stop();
+      window.removeEventListener("popstate", restoreFromUrl);
+      resizeObserver?.disconnect();
+      unwatchTheme();
+      for (const c of courts) c.svg.on(".zoom", null);
+      root.remove();
+    }
+    invalidation?.then(destroy);
 
-  // Clean up tooltip if the page unloads
-  root.addEventListener("DOMNodeRemovedFromDocument", () => { tip.remove(); });
+  // Public API, like createPicker's: `value` is court A's filtered shots as
+  // {count, ids}, ids in the order getFilteredShots() lists the rows, and an
+  // "input" event fires whenever they change, so the explorer works with
+  // Framework's view() and Generators.input. "statechange" events carry
+  // getState() after any change, zoom included.
+  Object.defineProperty(root, "value", {get: currentSelection});
+  Object.assign(root, {getState, setFilters, getFilteredShots, resetZoom, destroy});
 
   return root;
 }
\ No newline at end of file
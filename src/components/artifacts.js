@@ -0,0 +1,18 @@
+import {FileAttachment} from "observablehq:stdlib";
+
+// The build-time artifacts for each season (see src/data/seasons.js), shared
+// by every page. FileAttachment needs literal paths, so adding a season means
+// adding a line here after listing its CSV there.
+const SEASONS = [
+  {table: () => FileAttachment("../data/2004/shots.arrow").arrow(), aggregates: () => FileAttachment("../data/2004/aggregates.json").json()}
+];
+
+// [{table, aggregates}] for InteractiveViz's `seasons` option
+export function loadSeasons() {
+  return Promise.all(SEASONS.map(async s => ({table: await s.table(), aggregates: await s.aggregates()})));
+}
+
+// Just the aggregates, for pages that don't need every shot
+export function loadAggregates() {
+  return Promise.all(SEASONS.map(s => s.aggregates()));
+}
@@ -0,0 +1,113 @@
+import * as d3 from "d3";
+import {ZONES} from "./court.js";
+import {countsBy} from "./shotindex.js";
+import {summarizeExpected} from "./expected.js";
+import {summarize} from "./stats.js";
+import {renderSortableTable, fmtRate} from "./table.js";
+
+// The explorer's tables, all drawn with renderSortableTable
+
+const fmtCount = v => v.toLocaleString();
+const fmtFixed = digits => v => Number.isFinite(v) ? v.toFixed(digits) : "–";
+
+// Zone stats (summarizeZones maps) of a selection against the league. The
+// zone names toggle zones in `selected` through onToggle(id).
+export function renderZoneTable(table, {zones, league, selected, onToggle}) {
+  renderSortableTable(table, {
+    columns: [
+      {key: "name", label: "Zone", fmt: String},
+      {key: "attempts", label: "FGA", fmt: fmtCount},
+      {key: "makes", label: "FGM", fmt: fmtCount},
+      {key: "pct", label: "FG%", fmt: fmtRate},
+      {key: "leaguePct", label: "League FG%", fmt: fmtRate},
+      {key: "pps", label: "Pts/Shot", fmt: fmtFixed(2)},
+      {key: "share", label: "Share", fmt: fmtRate}
+    ],
+    rows: ZONES.map(z => ({...zones.get(z.id), id: z.id, name: z.name, leaguePct: league.get(z.id).pct})),
+    textColumns: 1,
+    toggle: {pressed: row => selected.has(row.id), onToggle: row => onToggle(row.id)}
+  });
+}
+
+// Summaries of courts A and B and their differences
+export function renderCompareTable(table, a, b) {
+  const fmtDiff = v => Number.isFinite(v) ? d3.format("+.1%")(v) : "–";
+  const rate = (v, row) => row.diff ? fmtDiff(v) : fmtRate(v);
+  renderSortableTable(table, {
+    columns: [
+      {key: "label", label: "", fmt: String},
+      {key: "attempts", label: "FGA", fmt: fmtCount},
+      {key: "pct", label: "FG%", fmt: rate},
+      {key: "efg", label: "eFG%", fmt: rate},
+      {key: "threeRate", label: "3PA Rate", fmt: rate}
+    ],
+    rows: [
+      {label: "A", ...a},
+      {label: "B", ...b},
+      {label: "A − B", diff: true, attempts: a.attempts - b.attempts, pct: a.pct - b.pct, efg: a.efg - b.efg, threeRate: a.threeRate - b.threeRate}
+    ],
+    textColumns: 1
+  });
+}
+
+// Plain table for the data table: a caption, header cells and rows of
+// formatted cells, the first of each its row's header
+export function accessibleTable(caption, head, rows, {textColumns = 1} = {}) {
+  const table = document.createElement("table");
+  Object.assign(table.style, {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontVariantNumeric: "tabular-nums",
+    margin: ".5rem 0"
+  });
+  renderSortableTable(table, {
+    columns: head.map((label, key) => ({key, label, fmt: String})),
+    rows,
+    textColumns,
+    caption,
+    rowHeaders: true
+  });
+  return table;
+}
+
+const PLAYER_COLUMNS = [
+  {key: "player", label: "Player", fmt: String},
+  {key: "teams", label: "Team", fmt: String},
+  {key: "attempts", label: "FGA", fmt: fmtCount},
+  {key: "makes", label: "FGM", fmt: fmtCount},
+  {key: "pct", label: "FG%", fmt: fmtRate},
+  {key: "threes", label: "3PA", fmt: fmtCount},
+  {key: "threePct", label: "3P%", fmt: fmtRate},
+  {key: "efg", label: "eFG%", fmt: fmtRate},
+  {key: "avgDist", label: "Avg Dist", fmt: fmtFixed(1)},
+  {key: "pps", label: "Pts/Shot", fmt: fmtFixed(2)},
+  {key: "xpps", label: "xPts/Shot", fmt: fmtFixed(2)},
+  {key: "ppsOverExpected", label: "vs Exp.", fmt: v => Number.isFinite(v) ? d3.format("+.2f")(v) : "–"}
+];
+
+// Per-player breakdown of `shots` (ids into the shot index, see
+// shotindex.js), with `xp` the expected FG% per shot
+export function renderPlayerTable(table, {index, shots, xp, sort, onSort}) {
+  // Each player's teams in the order they first show up
+  const teamCount = index.team.values.length;
+  const seen = new Uint8Array(index.player.values.length * teamCount);
+  const teamsOf = [];
+  for (const i of shots) {
+    const p = index.player.codes[i];
+    const t = index.team.codes[i];
+    if (seen[p * teamCount + t]) continue;
+    seen[p * teamCount + t] = 1;
+    (teamsOf[p] ??= []).push(index.team.values[t]);
+  }
+  const rows = Array.from(countsBy(index, shots, "player", xp), ([player, c]) => {
+    const s = summarize(c);
+    return {
+      player,
+      teams: teamsOf[index.player.keys.get(player)].join(", "),
+      ...s,
+      ...summarizeExpected(c),
+      threePct: s.threes ? s.threeMakes / s.threes : NaN
+    };
+  });
+  renderSortableTable(table, {columns: PLAYER_COLUMNS, rows, sort, onSort});
+}
@@ -0,0 +1,64 @@
+import {createSelect, setSelectValue, createRange, setRangeValue} from "./controls.js";
+
+// Periods are quarters 1–4, then overtimes (5 is the first)
+export const quarterLabel = q => q <= 4 ? `Q${q}` : `OT${q - 4}`;
+export const periodMinutes = q => q <= 4 ? 12 : 5;
+export const fmtClock = s => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+
+// The explorer's game clock filter: the quarters, the time left in the period
+// and the presets that set both. `allQuarters` are the periods in the data.
+// onChange(gesture) asks for a redraw; a drag of either slider thumb is one
+// gesture (see the explorer's syncUrl), everything else passes null.
+export function createClockFilter(allQuarters, onChange) {
+  let quarters = allQuarters.slice();
+  let range = [0, 720];
+
+  const quarterSelect = createSelect("Quarters (multi-select)", allQuarters.map(quarterLabel), quarters.map(quarterLabel),
+    v => { quarters = allQuarters.filter(q => v.includes(quarterLabel(q))); setPreset("Custom"); onChange(null); },
+    {multiple: true, size: 6});
+  // The inputs' change event marks the end of a drag
+  let gesture = {};
+  const slider = createRange("Time left in period", [0, 720], range,
+    v => { range = v; setPreset("Custom"); onChange(gesture); }, {format: fmtClock});
+  slider.addEventListener("change", () => gesture = {});
+
+  const PRESETS = {
+    "All game": {quarters: allQuarters, range: [0, 720]},
+    "Clutch (last 5 min of Q4/OT)": {quarters: allQuarters.filter(q => q >= 4), range: [0, 300]},
+    "End of quarter heaves (<3 s)": {quarters: allQuarters, range: [0, 2]}
+  };
+  const presetSelect = createSelect("Clock Preset", [...Object.keys(PRESETS), "Custom"], "All game", v => {
+    if (!PRESETS[v]) return;
+    set(PRESETS[v].quarters, PRESETS[v].range);
+    onChange(null);
+  });
+
+  const preset = () => presetSelect.querySelector("select").value;
+
+  function setPreset(name) {
+    setSelectValue(presetSelect, name);
+  }
+
+  // Set the quarters and range without calling onChange; the preset follows
+  // when they match one
+  function set(nextQuarters, nextRange) {
+    quarters = nextQuarters.slice();
+    range = nextRange.slice();
+    setSelectValue(quarterSelect, quarters.map(quarterLabel));
+    setRangeValue(slider, range);
+    setPreset(Object.keys(PRESETS).find(name =>
+      PRESETS[name].quarters.join() === quarters.join() && PRESETS[name].range.join() === range.join()) ?? "Custom");
+  }
+
+  return {
+    nodes: [quarterSelect, slider, presetSelect],
+    set,
+    quarters: () => quarters,
+    range: () => range,
+    active: () => quarters.length < allQuarters.length || range[0] > 0 || range[1] < 720,
+    preset,
+    // The filter as it reads in export titles
+    label: () => preset() !== "Custom" ? preset()
+      : `${quarters.map(quarterLabel).join("/")} ${fmtClock(range[1])}–${fmtClock(range[0])} left`
+  };
+}
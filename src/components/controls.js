@@ -0,0 +1,102 @@
+import * as d3 from "d3";
+
+// Simple UI builders for the explorer and its parts (no extra libs). The
+// selects and ranges return their wrapping element and report changes through
+// onChange; set*Value updates one without firing it.
+
+export function createSelect(label, options, value, onChange, {multiple=false, size=6}={}) {
+  const wrap = document.createElement("label");
+  wrap.style.display = "flex";
+  wrap.style.flexDirection = "column";
+  wrap.style.gap = "4px";
+  const span = document.createElement("span");
+  span.textContent = label;
+  span.style.fontWeight = "600";
+  const select = document.createElement("select");
+  if (multiple) {
+    select.multiple = true;
+    select.size = Math.min(size, options.length);
+  }
+  for (const o of options) {
+    const opt = document.createElement("option");
+    opt.value = o;
+    opt.textContent = o;
+    if (multiple ? Array.isArray(value) && value.includes(o) : o === value) opt.selected = true;
+    select.appendChild(opt);
+  }
+  select.onchange = () => {
+    if (multiple) {
+      const chosen = Array.from(select.selectedOptions).map(o => o.value);
+      onChange(chosen);
+    } else {
+      onChange(select.value);
+    }
+  };
+  wrap.appendChild(span);
+  wrap.appendChild(select);
+  return wrap;
+}
+
+// Update a createSelect control without firing its onChange
+export function setSelectValue(wrap, value) {
+  const select = wrap.querySelector("select");
+  for (const opt of select.options) {
+    opt.selected = Array.isArray(value) ? value.includes(opt.value) : opt.value === value;
+  }
+}
+
+// Two-thumb range built from a pair of <input type="range">
+export function createRange(label, [min, max], value, onChange, {step = 1, format = String} = {}) {
+  const wrap = document.createElement("label");
+  wrap.style.display = "flex";
+  wrap.style.flexDirection = "column";
+  wrap.style.gap = "4px";
+  const span = document.createElement("span");
+  span.style.fontWeight = "600";
+  const inputs = [0, 1].map(i => {
+    const input = document.createElement("input");
+    input.type = "range";
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = value[i];
+    input.oninput = () => {
+      const [a, b] = inputs.map(el => +el.value);
+      update();
+      onChange([Math.min(a, b), Math.max(a, b)]);
+    };
+    return input;
+  });
+  const update = () => {
+    const [a, b] = inputs.map(el => +el.value).sort(d3.ascending);
+    span.textContent = `${label}: ${format(a)} – ${format(b)}`;
+  };
+  update();
+  wrap.addEventListener("refresh", update);
+  wrap.appendChild(span);
+  for (const input of inputs) wrap.appendChild(input);
+  return wrap;
+}
+
+// Update a createRange control without firing its onChange
+export function setRangeValue(wrap, [lo, hi]) {
+  const inputs = wrap.querySelectorAll("input");
+  inputs[0].value = lo;
+  inputs[1].value = hi;
+  wrap.dispatchEvent(new Event("refresh"));
+}
+
+// Values offered by a createSelect control
+export function optionsOf(wrap) {
+  return Array.from(wrap.querySelector("select").options, o => o.value);
+}
+
+export function createButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.style.padding = "4px 12px";
+  button.style.cursor = "pointer";
+  button.onclick = onClick;
+  return button;
+}
@@ -0,0 +1,90 @@
+// NBA half-court geometry and shot-zone classification.
+// Coordinates are LOC_X / LOC_Y court units: x ∈ [-250, 250], baseline at
+// y = -50, half-court line at y = 470, hoop centre at (0, 52.5).
+
+export const COURT = {
+  halfWidth: 250,
+  baselineY: -50,
+  halfCourtY: 470,
+  hoopY: 52.5,
+  paintWidth: 80,       // half-width of the key (16 ft lane)
+  paintLength: 190,     // free-throw line
+  ftRadius: 60,
+  restrictedRadius: 40,
+  cornerX: 220,         // corner three is 22 ft from the hoop
+  breakY: 140,          // where the corner lines meet the arc
+  threeRadius: 237.5
+};
+
+// Zones in display order; `points` is the value of a made shot from there and
+// `label` is where the zone's figure is printed on the court
+export const ZONES = [
+  {id: "ra", name: "Restricted Area", points: 2, label: [0, 52.5]},
+  {id: "paint", name: "In The Paint (Non-RA)", points: 2, label: [0, 140]},
+  {id: "midLeft", name: "Mid-Range Left", points: 2, label: [-150, 60]},
+  {id: "midCenter", name: "Mid-Range Center", points: 2, label: [0, 230]},
+  {id: "midRight", name: "Mid-Range Right", points: 2, label: [150, 60]},
+  {id: "corner3Left", name: "Left Corner 3", points: 3, label: [-235, 40]},
+  {id: "corner3Right", name: "Right Corner 3", points: 3, label: [235, 40]},
+  {id: "aboveBreak3", name: "Above the Break 3", points: 3, label: [0, 350]},
+  {id: "backcourt", name: "Backcourt", points: 3, label: [0, 520]}
+];
+
+export const zoneById = new Map(ZONES.map(z => [z.id, z]));
+
+// Where the corner lines meet the three-point arc, as an angle from +x
+// around the hoop (the arc runs from here to π minus it)
+export const BREAK_ANGLE = Math.asin((COURT.breakY - COURT.hoopY) / COURT.threeRadius);
+
+// n + 1 points along a circular arc in court units, centre (cx, cy), angles
+// from +x toward half court. Drawn through the x/y scales, like the zones,
+// so court lines and zone outlines stretch together.
+export function courtArc(cx, cy, r, a0, a1, n = 32) {
+  return Array.from({length: n + 1}, (_, i) => {
+    const a = a0 + (a1 - a0) * i / n;
+    return [cx + r * Math.cos(a), cy + r * Math.sin(a)];
+  });
+}
+
+// Classify a shot location into one of the ZONES ids (null for missing coordinates)
+export function classifyZone(x, y) {
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  const {hoopY, paintWidth, paintLength, restrictedRadius, cornerX, breakY, threeRadius, halfCourtY} = COURT;
+  if (y > halfCourtY) return "backcourt";
+  const r = Math.hypot(x, y - hoopY);
+  if (r <= restrictedRadius) return "ra";
+  if (Math.abs(x) <= paintWidth && y <= paintLength) return "paint";
+  if (y <= breakY) {
+    if (x < -cornerX) return "corner3Left";
+    if (x > cornerX) return "corner3Right";
+  } else if (r > threeRadius) {
+    return "aboveBreak3";
+  }
+  if (Math.abs(x) <= paintWidth) return "midCenter";
+  return x < 0 ? "midLeft" : "midRight";
+}
+
+// Outline of each zone as polygons in court units, matching classifyZone.
+// Zones with a hole (the paint around the restricted area) have two rings.
+export function zonePolygons(yMax = COURT.halfCourtY) {
+  const {halfWidth: w, baselineY: b, halfCourtY: hc, hoopY, paintWidth: pw, paintLength: pl,
+    restrictedRadius, cornerX, breakY, threeRadius: R} = COURT;
+
+  // Points along the three-point arc, and circles around the hoop
+  const arc = (a0, a1, n = 24) => courtArc(0, hoopY, R, a0, a1, n);
+  const circle = (r, n = 32) => courtArc(0, hoopY, r, 0, 2 * Math.PI, n).slice(0, n);
+  const aBreak = BREAK_ANGLE;
+  const aLane = Math.acos(pw / R);
+
+  return {
+    ra: [circle(restrictedRadius)],
+    paint: [[[-pw, b], [pw, b], [pw, pl], [-pw, pl]], circle(restrictedRadius)],
+    midLeft: [[[-cornerX, b], [-pw, b], ...arc(Math.PI - aLane, Math.PI - aBreak), [-cornerX, breakY]]],
+    midCenter: [[[pw, pl], ...arc(aLane, Math.PI - aLane), [-pw, pl]]],
+    midRight: [[[pw, b], [cornerX, b], [cornerX, breakY], ...arc(aBreak, aLane)]],
+    corner3Left: [[[-w, b], [-cornerX, b], [-cornerX, breakY], [-w, breakY]]],
+    corner3Right: [[[cornerX, b], [w, b], [w, breakY], [cornerX, breakY]]],
+    aboveBreak3: [[[w, breakY], [w, hc], [-w, hc], [-w, breakY], ...arc(Math.PI - aBreak, aBreak)]],
+    backcourt: [[[-w, hc], [w, hc], [w, Math.max(hc, yMax)], [-w, Math.max(hc, yMax)]]]
+  };
+}
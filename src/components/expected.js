@@ -0,0 +1,72 @@
+// Expected points: a league-wide make probability for every shot from its
+// zone and distance (1-ft bins), fitted on the loaded shots. Sparse bins are
+// shrunk toward their zone's FG%, and zones toward the league's, so rarely
+// used spots don't get extreme probabilities. The fit is a pure function of
+// the shots (no randomness, no iteration order effects), so the same data
+// always gives the same model. The accessors read a shot's result, zone and
+// distance; by default shots are processed rows.
+export function fitExpected(shots, {prior = 20, maxFeet = 40, made = d => d.__made, zone = d => d.__zone, dist = d => d.__dist} = {}) {
+  const foot = d => {
+    const v = dist(d);
+    return Number.isFinite(v) ? Math.min(maxFeet, Math.max(0, Math.floor(v))) : null;
+  };
+  const key = (z, ft) => `${z}:${ft}`;
+
+  let makes = 0;
+  const zones = new Map();
+  const bins = new Map();
+  const add = (map, k, m) => {
+    const c = map.get(k) ?? {attempts: 0, makes: 0};
+    c.attempts++;
+    c.makes += m;
+    map.set(k, c);
+  };
+  for (const d of shots) {
+    const m = made(d);
+    makes += m;
+    add(zones, zone(d), m);
+    const ft = foot(d);
+    if (ft != null) add(bins, key(zone(d), ft), m);
+  }
+
+  // (makes + prior × parent rate) / (attempts + prior)
+  const shrink = (c, parent) => (c.makes + prior * parent) / (c.attempts + prior);
+  const league = shots.length ? makes / shots.length : 0;
+  const zoneRate = new Map(Array.from(zones, ([z, c]) => [z, shrink(c, league)]));
+  const binRate = new Map(Array.from(bins, ([k, c]) => [k, shrink(c, zoneRate.get(k.slice(0, k.lastIndexOf(":"))))]));
+
+  // Make probability of one shot
+  function probability(d) {
+    const ft = foot(d);
+    const z = zone(d);
+    if (ft != null && binRate.has(key(z, ft))) return binRate.get(key(z, ft));
+    return zoneRate.get(z) ?? league;
+  }
+
+  return {probability, league, zones: zoneRate, bins: binRate};
+}
+
+// Expected vs actual points from additive counts (attempts, makes and points
+// plus xMakes and xPoints, the sums of make probabilities and of expected
+// points): points per shot, expected points per shot, the difference (shot
+// making) and makes above expectation. NaN rates when empty.
+export function summarizeExpected({attempts: n, makes, points, xMakes, xPoints}) {
+  return {
+    xpps: n ? xPoints / n : NaN,
+    ppsOverExpected: n ? (points - xPoints) / n : NaN,
+    xPct: n ? xMakes / n : NaN,
+    makesOverExpected: makes - xMakes
+  };
+}
+
+// The same for shots that carry `__xp` (their make probability)
+export function expectedSummary(shots) {
+  let points = 0, xPoints = 0, makes = 0, xMakes = 0;
+  for (const d of shots) {
+    points += d.__made * d.__value;
+    xPoints += d.__xp * d.__value;
+    makes += d.__made;
+    xMakes += d.__xp;
+  }
+  return summarizeExpected({attempts: shots.length, makes, points, xMakes, xPoints});
+}
@@ -0,0 +1,47 @@
+// Download helpers for the explorer's export buttons
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Standalone SVG markup. The serializer adds the SVG namespace itself since
+// the node was created with d3.create("svg").
+export function serializeSVG(svg) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+}
+
+// Rasterize SVG markup to a PNG blob at `scale` × its width/height
+export function svgToPNG(markup, width, height, scale = 3) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], {type: "image/svg+xml"}));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("PNG encoding failed")), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render the court SVG"));
+    };
+    image.src = url;
+  });
+}
+
+// File-name friendly version of a label ("Ben Wallace · Missed" -> "ben-wallace-missed").
+// Accents are dropped ("José" -> "jose") rather than splitting the word.
+export function slugify(text) {
+  return text.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^\w]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 80) || "shots";
+}
@@ -0,0 +1,97 @@
+import * as d3 from "d3";
+import {quarterLabel, periodMinutes, fmtClock} from "./clock.js";
+import {fmtRate} from "./table.js";
+
+// Quarter-by-minute heat strip of attempts for the explorer. `quarters`,
+// `clocks` and `made` are shot index columns (see shotindex.js) and `periods`
+// the periods to lay out; draw() takes shot ids into the columns. Clicking a
+// minute calls onPick(quarter, [lo, hi] seconds left).
+export function createHeatStrip({quarters, clocks, made, periods, width, showTip, hideTip, onPick}) {
+  const minuteCells = periods.flatMap(q => d3.range(periodMinutes(q)).map(m => ({q, m})));
+  const SH = 54;
+  const SM = {top: 4, right: 20, bottom: 20, left: 40};
+  const SIH = SH - SM.top - SM.bottom;
+  const svg = d3.create("svg")
+    .attr("width", width)
+    .attr("height", SH)
+    .style("display", "block")
+    .style("background", "var(--viz-background)");
+  const sg = svg.append("g").attr("transform", `translate(${SM.left},${SM.top})`);
+  const sx = d3.scaleBand().domain(minuteCells.map(c => `${c.q}-${c.m}`)).range([0, width - SM.left - SM.right]).paddingInner(0.08);
+  const color = d3.scaleSequential(d3.interpolateInferno);
+  const labels = sg.selectAll("text")
+    .data(periods)
+    .join("text")
+    .attr("x", q => sx(`${q}-0`))
+    .attr("y", SIH + 14)
+    .attr("font-size", 11)
+    .style("fill", "var(--viz-text)")
+    .text(quarterLabel);
+
+  // Minute m of a period covers time left in (end - 60, end] seconds; the
+  // last minute also takes the buzzer (0 s left)
+  const cellRange = ({q, m}) => {
+    const end = (periodMinutes(q) - m) * 60;
+    return [m === periodMinutes(q) - 1 ? 0 : end - 59, end];
+  };
+  // Each shot's position in minuteCells (-1 without a period and clock)
+  const firstCell = new Map(periods.map(q => [q, minuteCells.findIndex(c => c.q === q)]));
+  const shotCell = Int32Array.from(quarters, (q, i) => {
+    const clock = clocks[i];
+    if (!firstCell.has(q) || !Number.isFinite(clock)) return -1;
+    const len = periodMinutes(q);
+    return firstCell.get(q) + Math.max(0, Math.min(len - 1, Math.floor((len * 60 - clock) / 60)));
+  });
+  // Attempts and makes per cell as last drawn, for the tooltips
+  let cellAttempts = new Int32Array(minuteCells.length);
+  let cellMakes = new Int32Array(minuteCells.length);
+
+  // `clock` is the clock filter (see clock.js); its minutes are outlined in
+  // the `emphasis` color
+  function draw(shots, {clock, emphasis}) {
+    cellAttempts = new Int32Array(minuteCells.length);
+    cellMakes = new Int32Array(minuteCells.length);
+    for (const i of shots) {
+      const k = shotCell[i];
+      if (k < 0) continue;
+      cellAttempts[k]++;
+      cellMakes[k] += made[i];
+    }
+    color.domain([0, d3.max(cellAttempts) || 1]);
+    const [lo, hi] = clock.range();
+    const selected = c => clock.active() && clock.quarters().includes(c.q) &&
+      cellRange(c)[1] >= lo && cellRange(c)[0] <= hi;
+    sg.selectAll("rect")
+      .data(minuteCells)
+      .join(enter => enter.append("rect")
+        .style("cursor", "pointer")
+        .on("click", (event, c) => onPick(c.q, cellRange(c)))
+        .on("mousemove", (event, c) => {
+          const attempts = cellAttempts[minuteCells.indexOf(c)];
+          const makes = cellMakes[minuteCells.indexOf(c)];
+          const [lo, hi] = cellRange(c);
+          showTip(event, [
+            `<b>${quarterLabel(c.q)} ${fmtClock(hi)}–${fmtClock(lo)}</b>`,
+            `Attempts: ${attempts}`,
+            `FG%: ${fmtRate(makes / attempts)}`
+          ]);
+        })
+        .on("mouseleave", hideTip))
+      .attr("x", c => sx(`${c.q}-${c.m}`))
+      .attr("y", 0)
+      .attr("width", sx.bandwidth())
+      .attr("height", SIH)
+      .attr("fill", (c, k) => color(cellAttempts[k]))
+      .attr("stroke", c => selected(c) ? emphasis : "none")
+      .attr("stroke-width", 1.5);
+  }
+
+  // New band range for the full width; the caller redraws
+  function resize(nextWidth) {
+    svg.attr("width", nextWidth);
+    sx.range([0, nextWidth - SM.left - SM.right]);
+    labels.attr("x", q => sx(`${q}-0`));
+  }
+
+  return {node: svg.node(), draw, resize};
+}
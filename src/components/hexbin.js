@@ -0,0 +1,64 @@
+// Minimal hexagonal binning (pointy-top hexagons), same layout as d3-hexbin.
+// Bins points in screen space so the result lines up with the court scales.
+const thirdPi = Math.PI / 3;
+const angles = [0, 1, 2, 3, 4, 5].map(i => i * thirdPi);
+
+export function hexbin({x, y, radius = 12}) {
+  const dx = radius * 2 * Math.sin(thirdPi);
+  const dy = radius * 1.5;
+
+  function bin(points) {
+    const binsById = new Map();
+    for (const point of points) {
+      const px0 = x(point);
+      const py0 = y(point);
+      if (!Number.isFinite(px0) || !Number.isFinite(py0)) continue;
+
+      // Snap to the nearest hex centre (two candidate rows, pick the closer one)
+      const py = py0 / dy;
+      let pj = Math.round(py);
+      const px = px0 / dx - (pj & 1) / 2;
+      let pi = Math.round(px);
+      const py1 = py - pj;
+      if (Math.abs(py1) * 3 > 1) {
+        const px1 = px - pi;
+        const pi2 = pi + (px < pi ? -1 : 1) / 2;
+        const pj2 = pj + (py < pj ? -1 : 1);
+        const px2 = px - pi2;
+        const py2 = py - pj2;
+        if (px1 * px1 + py1 * py1 > px2 * px2 + py2 * py2) {
+          pi = pi2 + ((pj & 1) ? 1 : -1) / 2;
+          pj = pj2;
+        }
+      }
+
+      const id = `${pi},${pj}`;
+      let b = binsById.get(id);
+      if (!b) {
+        b = [];
+        b.id = id;
+        b.x = (pi + (pj & 1) / 2) * dx;
+        b.y = pj * dy;
+        binsById.set(id, b);
+      }
+      b.push(point);
+    }
+    return Array.from(binsById.values());
+  }
+
+  // Path for a hexagon of radius r (defaults to the bin radius), relative to its centre
+  bin.hexagon = (r = radius) => {
+    const corners = angles.map(a => [Math.sin(a) * r, -Math.cos(a) * r]);
+    return "M" + corners.map(c => c.join(",")).join("L") + "Z";
+  };
+
+  bin.radius = () => radius;
+
+  // Centre of the bin with this id, for bins counted elsewhere (see teamCourts in stats.js)
+  bin.centre = id => {
+    const [pi, pj] = id.split(",").map(Number);
+    return [(pi + (pj & 1) / 2) * dx, pj * dy];
+  };
+
+  return bin;
+}
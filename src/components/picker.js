@@ -0,0 +1,238 @@
+// Searchable multi-select with optional groups, selection chips, per-item
+// counts and all/clear actions. Used for the player and team filters.
+//
+// groups: [{name, items: [{value, count}]}] — a group with no name renders
+// without a header. The same value may appear in several groups (a traded
+// player under each team); its checked state is shared.
+//
+// Like createSelect it returns the wrapping element and reports changes through
+// onChange. `wrap.value` reads or sets the selection without firing onChange,
+// and `wrap.setGroups(groups)` swaps the available items. Colors come from the
+// explorer's --viz-* theme variables (see theme.js), dark when unset.
+export function createPicker(label, groups, value, onChange, {noun = "items", maxChips = 12} = {}) {
+  let selected = new Set(value);
+  let query = "";
+
+  const wrap = document.createElement("div");
+  wrap.style.display = "flex";
+  wrap.style.flexDirection = "column";
+  wrap.style.gap = "4px";
+
+  const span = document.createElement("span");
+  span.textContent = label;
+  span.style.fontWeight = "600";
+
+  const chips = document.createElement("div");
+  chips.style.display = "flex";
+  chips.style.flexWrap = "wrap";
+  chips.style.gap = "4px";
+
+  const toolbar = document.createElement("div");
+  toolbar.style.display = "flex";
+  toolbar.style.gap = "4px";
+  const search = document.createElement("input");
+  search.type = "search";
+  search.placeholder = `Search ${noun}…`;
+  search.style.flex = "1";
+  search.style.minWidth = "0";
+  search.oninput = () => {
+    query = search.value.trim().toLowerCase();
+    renderList();
+  };
+  // Enter picks the first visible match that isn't selected yet
+  search.onkeydown = (event) => {
+    if (event.key !== "Enter") return;
+    event.preventDefault();
+    const match = visibleItems().find(item => !selected.has(item.value));
+    if (match) update(new Set([...selected, match.value]));
+  };
+  const allButton = smallButton("All", () => update(new Set(allValues())));
+  const clearButton = smallButton("Clear", () => update(new Set()));
+  toolbar.appendChild(search);
+  toolbar.appendChild(allButton);
+  toolbar.appendChild(clearButton);
+
+  const list = document.createElement("div");
+  Object.assign(list.style, {
+    maxHeight: "220px",
+    overflowY: "auto",
+    border: "1px solid var(--viz-rule, #444)",
+    borderRadius: "4px",
+    padding: "2px 0",
+    fontSize: "13px"
+  });
+
+  wrap.appendChild(span);
+  wrap.appendChild(chips);
+  wrap.appendChild(toolbar);
+  wrap.appendChild(list);
+
+  function allValues() {
+    return Array.from(new Set(groups.flatMap(g => g.items.map(item => item.value))));
+  }
+
+  function matches(item) {
+    return !query || item.value.toLowerCase().includes(query);
+  }
+
+  // The selection, sorted and limited to the available items
+  function current() {
+    return allValues().filter(v => selected.has(v)).sort();
+  }
+
+  function visibleItems() {
+    return groups.flatMap(g => g.items.filter(matches));
+  }
+
+  function update(next) {
+    selected = next;
+    render();
+    onChange(current());
+  }
+
+  function renderChips() {
+    chips.innerHTML = "";
+    const values = allValues();
+    const picked = values.filter(v => selected.has(v));
+    if (picked.length === values.length && values.length) {
+      chips.appendChild(chip(`All ${noun} (${values.length})`));
+      return;
+    }
+    if (!picked.length) {
+      chips.appendChild(chip(`No ${noun} selected`));
+      return;
+    }
+    for (const v of picked.slice(0, maxChips)) {
+      chips.appendChild(chip(v, () => {
+        const next = new Set(selected);
+        next.delete(v);
+        update(next);
+      }));
+    }
+    if (picked.length > maxChips) chips.appendChild(chip(`+${picked.length - maxChips} more`));
+  }
+
+  function renderList() {
+    list.innerHTML = "";
+    for (const group of groups) {
+      const items = group.items.filter(matches);
+      if (!items.length) continue;
+      if (group.name != null) {
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          padding: "4px 6px",
+          fontWeight: "600",
+          background: "var(--viz-surface, #262626)"
+        });
+        const name = document.createElement("span");
+        name.textContent = group.name;
+        const allOn = group.items.every(item => selected.has(item.value));
+        const toggle = smallButton(allOn ? "Clear all" : "Select all", () => {
+          const next = new Set(selected);
+          for (const item of group.items) allOn ? next.delete(item.value) : next.add(item.value);
+          update(next);
+        });
+        toggle.title = `${allOn ? "Clear" : "Select"} all on ${group.name}`;
+        header.appendChild(name);
+        header.appendChild(toggle);
+        list.appendChild(header);
+      }
+      for (const item of items) {
+        const row = document.createElement("label");
+        Object.assign(row.style, {
+          display: "flex",
+          alignItems: "center",
+          gap: "6px",
+          padding: "2px 6px 2px 12px",
+          cursor: "pointer"
+        });
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.checked = selected.has(item.value);
+        box.onchange = () => {
+          const next = new Set(selected);
+          box.checked ? next.add(item.value) : next.delete(item.value);
+          update(next);
+        };
+        const name = document.createElement("span");
+        name.textContent = item.value;
+        name.style.flex = "1";
+        row.appendChild(box);
+        row.appendChild(name);
+        if (item.count != null) {
+          const count = document.createElement("span");
+          count.textContent = item.count.toLocaleString();
+          count.style.color = "var(--viz-muted, #999)";
+          count.style.fontVariantNumeric = "tabular-nums";
+          row.appendChild(count);
+        }
+        list.appendChild(row);
+      }
+    }
+  }
+
+  function render() {
+    renderChips();
+    renderList();
+  }
+
+  Object.defineProperty(wrap, "value", {
+    get: current,
+    set: (values) => {
+      selected = new Set(values);
+      render();
+    }
+  });
+
+  wrap.setGroups = (next) => {
+    groups = next;
+    render();
+  };
+
+  render();
+  return wrap;
+}
+
+function smallButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.style.padding = "1px 6px";
+  button.style.fontSize = "12px";
+  button.style.cursor = "pointer";
+  button.onclick = onClick;
+  return button;
+}
+
+function chip(text, onRemove) {
+  const el = document.createElement("span");
+  Object.assign(el.style, {
+    display: "inline-flex",
+    alignItems: "center",
+    gap: "4px",
+    padding: "1px 8px",
+    borderRadius: "10px",
+    background: "var(--viz-selected, #2d4a6b)",
+    fontSize: "12px"
+  });
+  el.textContent = text;
+  if (onRemove) {
+    const x = document.createElement("button");
+    x.type = "button";
+    x.textContent = "×";
+    x.title = `Remove ${text}`;
+    Object.assign(x.style, {
+      border: "none",
+      background: "none",
+      color: "inherit",
+      cursor: "pointer",
+      padding: "0"
+    });
+    x.onclick = onRemove;
+    el.appendChild(x);
+  }
+  return el;
+}
@@ -0,0 +1,331 @@
+import * as d3 from "d3";
+import {ZONES} from "./court.js";
+import {summarize, summarizeZones, mergeAggregates, addCounts, emptyCounts, profileCounts, columnAccessors, mergeProfiles,
+  PERIODS} from "./stats.js";
+import {renderSortableTable, fmtRate} from "./table.js";
+import {playerSlugs} from "./slugs.js";
+import {setPageThemeVars} from "./theme.js";
+
+// Player profile pages (src/players/[name].md) and the players index
+// (src/players/index.md): per-player breakdowns next to the league, drawn as
+// small d3 charts in the page theme's colors (see theme.js).
+
+export const PLAYER_COLOR = "#4a90e2";
+export const LEAGUE_COLOR = "#999";
+
+// The charts below read profileCounts() results (see stats.js): the league's
+// from the aggregates artifacts, a player's counted from readTable columns
+
+// Attempts and FG% by calendar month, in date order
+export function monthlyTrend({months}) {
+  return Object.keys(months).sort().map(key => {
+    const {attempts, makes} = months[key];
+    return {month: d3.timeParse("%Y-%m")(key), attempts, makes, pct: makes / attempts};
+  });
+}
+
+// Share of attempts and FG% per 1-ft distance bin
+export function distanceProfile({distance}) {
+  const total = d3.sum(distance, b => b.attempts);
+  return distance.map(({attempts, makes}, ft) => ({
+    ft, attempts, makes, share: total ? attempts / total : 0, pct: attempts ? makes / attempts : NaN
+  }));
+}
+
+// Game-clock tendencies: share of attempts and FG% per period (overtimes
+// grouped), and FG% by whole minutes left in a regulation quarter
+export function clockProfile({periods, minutes}) {
+  const total = d3.sum(PERIODS, p => periods[p].attempts);
+  return {
+    quarters: PERIODS.map(label => {
+      const {attempts, makes} = periods[label];
+      return {label, attempts, share: total ? attempts / total : 0, pct: attempts ? makes / attempts : NaN};
+    }),
+    minutes: minutes.map(({attempts, makes}, minute) => ({minute, attempts, pct: attempts ? makes / attempts : NaN}))
+  };
+}
+
+// A player's profile counts and the seasons and teams they shot for, read
+// from readTable parts through the player's code rather than row objects
+export function playerProfile(parts, name) {
+  const seasons = [];
+  const teams = new Set();
+  const profiles = [];
+  for (const {season, length, columns} of parts) {
+    const code = columns ? columns.player.values.indexOf(name) : -1;
+    if (code < 0) continue;
+    const ids = [];
+    for (let i = 0; i < length; i++) {
+      if (columns.player.codes[i] !== code) continue;
+      ids.push(i);
+      if (columns.team.codes[i] >= 0) teams.add(columns.team.values[columns.team.codes[i]]);
+    }
+    seasons.push(season);
+    profiles.push(profileCounts(ids, columnAccessors(columns)));
+  }
+  return {seasons, teams: Array.from(teams), profile: mergeProfiles(profiles)};
+}
+
+// Per-player totals across every season's aggregates, for the players index
+export function playerRows(aggregates) {
+  const {players} = mergeAggregates(aggregates);
+  const byPlayer = new Map();
+  for (const team in players) {
+    for (const name in players[team]) {
+      const row = byPlayer.get(name) ?? {player: name, teams: [], counts: []};
+      row.teams.push(team);
+      row.counts.push(players[team][name]);
+      byPlayer.set(name, row);
+    }
+  }
+  return Array.from(byPlayer.values(), ({player, teams, counts}) => {
+    const s = summarize(counts.reduce(addCounts, emptyCounts()));
+    return {player, teams: teams.sort().join(", "), ...s, threePct: s.threes ? s.threeMakes / s.threes : NaN};
+  });
+}
+
+const INDEX_COLUMNS = [
+  {key: "player", label: "Player", fmt: String},
+  {key: "teams", label: "Team", fmt: String},
+  {key: "attempts", label: "FGA", fmt: v => v.toLocaleString()},
+  {key: "makes", label: "FGM", fmt: v => v.toLocaleString()},
+  {key: "pct", label: "FG%", fmt: fmtRate},
+  {key: "threes", label: "3PA", fmt: v => v.toLocaleString()},
+  {key: "threePct", label: "3P%", fmt: fmtRate},
+  {key: "efg", label: "eFG%", fmt: fmtRate},
+  {key: "avgDist", label: "Avg Dist", fmt: v => Number.isFinite(v) ? v.toFixed(1) : "–"},
+  {key: "pps", label: "Pts/Shot", fmt: v => Number.isFinite(v) ? v.toFixed(2) : "–"}
+];
+
+// Searchable, sortable list of players linking to their profile pages. The
+// minimum-attempts box keeps low-volume players out of efficiency sorts.
+export function playerIndex(aggregates) {
+  const all = playerRows(aggregates);
+  const slugs = playerSlugs(all.map(r => r.player));
+  const columns = INDEX_COLUMNS.map(c => c.key === "player" ? {...c, href: row => `./${slugs.get(row.player)}`} : c);
+  let query = "";
+  let minAttempts = 100;
+  let sort = {key: "attempts", desc: true};
+
+  const root = setPageThemeVars(document.createElement("div"));
+  root.style.background = "var(--viz-background)";
+  root.style.color = "var(--viz-text)";
+  root.style.padding = "1rem";
+  root.style.fontFamily = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+
+  const bar = document.createElement("div");
+  bar.style.display = "flex";
+  bar.style.gap = ".75rem";
+  bar.style.alignItems = "center";
+  bar.style.marginBottom = ".75rem";
+  const search = document.createElement("input");
+  search.type = "search";
+  search.placeholder = "Search players…";
+  search.oninput = () => {
+    query = search.value.trim().toLowerCase();
+    draw();
+  };
+  const minLabel = document.createElement("label");
+  minLabel.textContent = "Min FGA ";
+  const min = document.createElement("input");
+  min.type = "number";
+  min.min = 0;
+  min.step = 10;
+  min.value = minAttempts;
+  min.style.width = "5em";
+  min.oninput = () => {
+    minAttempts = +min.value || 0;
+    draw();
+  };
+  minLabel.appendChild(min);
+  const count = document.createElement("span");
+  count.style.fontSize = "13px";
+  count.style.color = "var(--viz-muted)";
+  bar.appendChild(search);
+  bar.appendChild(minLabel);
+  bar.appendChild(count);
+
+  const table = document.createElement("table");
+  table.style.borderCollapse = "collapse";
+  table.style.width = "100%";
+  table.style.fontSize = "13px";
+  table.style.fontVariantNumeric = "tabular-nums";
+  root.appendChild(bar);
+  root.appendChild(table);
+
+  function draw() {
+    const rows = all.filter(r => r.attempts >= minAttempts && (!query || r.player.toLowerCase().includes(query)));
+    count.textContent = `${rows.length.toLocaleString()} of ${all.length.toLocaleString()} players`;
+    renderSortableTable(table, {
+      columns,
+      rows,
+      sort,
+      onSort: next => {
+        sort = next;
+        draw();
+      }
+    });
+  }
+
+  draw();
+  return root;
+}
+
+// Small chart frame: title, page theme background and margins for axes
+function frame(title, width, height, margin) {
+  const svg = d3.create("svg")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", [0, 0, width, height])
+    .style("max-width", "100%")
+    .style("background", "var(--viz-background)")
+    .style("font", "11px system-ui, sans-serif");
+  setPageThemeVars(svg.node());
+  svg.append("text")
+    .attr("x", margin.left)
+    .attr("y", 14)
+    .style("fill", "var(--viz-text)")
+    .style("font-weight", "600")
+    .style("font-size", "13px")
+    .text(title);
+  return svg;
+}
+
+function styleAxis(g) {
+  g.selectAll("text").style("fill", "var(--viz-text)");
+  g.selectAll("line, path").style("stroke", "var(--viz-lines)");
+}
+
+// Swatches in a row under the title
+function legend(svg, series, x) {
+  const g = svg.append("g").attr("transform", `translate(${x},30)`);
+  let offset = 0;
+  for (const s of series) {
+    g.append("rect").attr("x", offset).attr("y", -4).attr("width", 10).attr("height", 10).attr("fill", s.color);
+    g.append("text").attr("x", offset + 14).attr("y", 5).style("fill", "var(--viz-text)").text(s.name);
+    offset += 24 + s.name.length * 6;
+  }
+}
+
+// Lines over a shared x: series [{name, color, values: [{x, y}]}]. Points with
+// a non-finite y leave a gap.
+export function lineChart({title, series, x: xType = "linear", format = d3.format(".0%"), xFormat, width = 540, height = 240}) {
+  const margin = {top: 44, right: 16, bottom: 26, left: 44};
+  const svg = frame(title, width, height, margin);
+  const points = series.flatMap(s => s.values);
+  const x = (xType === "time" ? d3.scaleTime : d3.scaleLinear)()
+    .domain(d3.extent(points, p => p.x))
+    .range([margin.left, width - margin.right]);
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(points, p => Number.isFinite(p.y) ? p.y : 0) || 1]).nice()
+    .range([height - margin.bottom, margin.top]);
+  svg.append("g")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(6).tickFormat(xFormat ?? null))
+    .call(styleAxis);
+  svg.append("g")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).ticks(5).tickFormat(format))
+    .call(styleAxis);
+  const line = d3.line().defined(p => Number.isFinite(p.y)).x(p => x(p.x)).y(p => y(p.y));
+  for (const s of series) {
+    svg.append("path").datum(s.values).attr("fill", "none").attr("stroke", s.color).attr("stroke-width", 2).attr("d", line);
+    svg.append("g").selectAll("circle").data(s.values.filter(p => Number.isFinite(p.y))).join("circle")
+      .attr("cx", p => x(p.x)).attr("cy", p => y(p.y)).attr("r", 3).attr("fill", s.color)
+      .append("title").text(p => `${s.name}: ${format(p.y)}${p.note ? ` (${p.note})` : ""}`);
+  }
+  legend(svg, series, margin.left);
+  return svg.node();
+}
+
+// Horizontal grouped bars, one group per category: series [{name, color,
+// values}] with values aligned to `categories`
+export function barChart({title, categories, series, format = d3.format(".0%"), width = 540, rowHeight = 26, labelWidth = 150}) {
+  const margin = {top: 44, right: 16, bottom: 24, left: labelWidth};
+  const height = margin.top + margin.bottom + categories.length * rowHeight;
+  const svg = frame(title, width, height, {...margin, left: 8});
+  const y = d3.scaleBand().domain(categories).range([margin.top, height - margin.bottom]).padding(0.2);
+  const inner = d3.scaleBand().domain(series.map(s => s.name)).range([0, y.bandwidth()]).padding(0.1);
+  const x = d3.scaleLinear()
+    .domain([0, d3.max(series.flatMap(s => s.values), v => Number.isFinite(v) ? v : 0) || 1]).nice()
+    .range([margin.left, width - margin.right]);
+  svg.append("g")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(5).tickFormat(format))
+    .call(styleAxis);
+  svg.append("g")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).tickSize(0))
+    .call(styleAxis);
+  for (const s of series) {
+    svg.append("g").selectAll("rect").data(categories).join("rect")
+      .attr("x", margin.left)
+      .attr("y", (c) => y(c) + inner(s.name))
+      .attr("width", (c, i) => Number.isFinite(s.values[i]) ? x(s.values[i]) - margin.left : 0)
+      .attr("height", inner.bandwidth())
+      .attr("fill", s.color)
+      .append("title").text((c, i) => `${s.name} · ${c}: ${Number.isFinite(s.values[i]) ? format(s.values[i]) : "–"}`);
+  }
+  legend(svg, series, 8);
+  return svg.node();
+}
+
+// Every chart of a player's profile, each comparing the player's profile
+// counts with the league's
+export function profileCharts(player, league, {width = 540} = {}) {
+  const pair = (player, league) => [
+    {name: "Player", color: PLAYER_COLOR, ...player},
+    {name: "League", color: LEAGUE_COLOR, ...league}
+  ];
+
+  const zones = [summarizeZones(player.zones), summarizeZones(league.zones)];
+  const zoneNames = ZONES.filter(z => z.id !== "backcourt").map(z => z.name);
+  const zoneIds = ZONES.filter(z => z.id !== "backcourt").map(z => z.id);
+  const zoneShare = barChart({
+    title: "Shot selection by zone (share of attempts)",
+    categories: zoneNames,
+    series: pair(...zones.map(m => ({values: zoneIds.map(id => m.get(id).share)}))),
+    width
+  });
+  const zoneFG = barChart({
+    title: "FG% by zone",
+    categories: zoneNames,
+    series: pair(...zones.map(m => ({values: zoneIds.map(id => m.get(id).pct)}))),
+    width
+  });
+
+  const months = [monthlyTrend(player), monthlyTrend(league)];
+  const trend = lineChart({
+    title: "FG% by month",
+    x: "time",
+    xFormat: d3.timeFormat("%b %Y"),
+    series: pair(...months.map(m => ({values: m.map(d => ({x: d.month, y: d.pct, note: `${d.attempts} FGA`}))}))),
+    width
+  });
+
+  const dist = [distanceProfile(player), distanceProfile(league)];
+  const distance = lineChart({
+    title: "Shot distance distribution (share of attempts per foot)",
+    xFormat: d => `${d} ft`,
+    format: d3.format(".1%"),
+    series: pair(...dist.map(bins => ({values: bins.map(b => ({x: b.ft, y: b.share, note: `${b.attempts} FGA`}))}))),
+    width
+  });
+
+  const clock = [clockProfile(player), clockProfile(league)];
+  const periods = barChart({
+    title: "Attempts by period (share)",
+    categories: clock[0].quarters.map(q => q.label),
+    series: pair(...clock.map(c => ({values: c.quarters.map(q => q.share)}))),
+    labelWidth: 40,
+    width
+  });
+  const minutes = lineChart({
+    title: "FG% by minutes left in the quarter",
+    xFormat: d => `${d}:00`,
+    series: pair(...clock.map(c => ({values: c.minutes.map(m => ({x: m.minute, y: m.pct, note: `${m.attempts} FGA`}))}))),
+    width
+  });
+
+  return {zoneShare, zoneFG, trend, distance, periods, minutes};
+}
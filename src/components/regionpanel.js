@@ -0,0 +1,160 @@
+import * as d3 from "d3";
+import {countsAt, countsBy} from "./shotindex.js";
+import {summarize} from "./stats.js";
+import {regionContains, loadRegions, saveRegions} from "./regions.js";
+import {createButton} from "./controls.js";
+import {fmtRate} from "./table.js";
+
+// Width the explorer's court row gives the panel beside a single court
+export const REGION_PANEL = 240;
+
+// Region panel beside the explorer's court: a selection's shots in the drawn
+// region against the league's from the same spot, its top shooters, and named
+// regions saved in the browser to reapply to any selection. `index` and `xp`
+// are the shot index and expected FG% per shot (see shotindex.js). Applying a
+// saved region, saving or clearing one calls onApply(points, name), with null
+// points to clear; onError(message) when the browser won't store regions.
+export function createRegionPanel({index, xp, onApply, onError}) {
+  let saved = loadRegions();
+  // The region and name as last drawn, for the form and the saved list
+  let region = null;
+  let regionName = null;
+
+  const node = document.createElement("div");
+  Object.assign(node.style, {
+    flex: `1 1 ${REGION_PANEL}px`,
+    alignSelf: "start",
+    display: "grid",
+    gap: ".5rem",
+    background: "var(--viz-surface)",
+    border: "1px solid var(--viz-border)",
+    borderRadius: "6px",
+    padding: "8px 10px",
+    fontSize: "13px"
+  });
+  const title = document.createElement("div");
+  title.style.fontWeight = "600";
+  const stats = document.createElement("div");
+  stats.style.fontVariantNumeric = "tabular-nums";
+  const shooters = document.createElement("ol");
+  shooters.style.margin = "0";
+  shooters.style.paddingLeft = "1.5em";
+  const form = document.createElement("div");
+  form.style.display = "flex";
+  form.style.flexWrap = "wrap";
+  form.style.gap = ".25rem";
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.placeholder = "Name, e.g. left elbow";
+  nameInput.setAttribute("aria-label", "Region name");
+  nameInput.style.flex = "1 1 8em";
+  nameInput.style.minWidth = "0";
+  nameInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") save();
+  });
+  const saveButton = createButton("Save", () => save());
+  const clearButton = createButton("Clear", () => onApply(null, null));
+  form.appendChild(nameInput);
+  form.appendChild(saveButton);
+  form.appendChild(clearButton);
+  const savedList = document.createElement("div");
+  savedList.style.display = "flex";
+  savedList.style.flexWrap = "wrap";
+  savedList.style.gap = ".25rem";
+  node.appendChild(title);
+  node.appendChild(stats);
+  node.appendChild(shooters);
+  node.appendChild(form);
+  node.appendChild(savedList);
+
+  // Save the current region under the typed name (replacing one of that name)
+  function save() {
+    const name = nameInput.value.trim();
+    if (!region || !name) return;
+    nameInput.value = "";
+    if (store([...saved.filter(r => r.name !== name), {name, points: region}])) onApply(region, name);
+  }
+
+  function remove(name) {
+    if (!store(saved.filter(r => r.name !== name))) return;
+    onApply(region, regionName === name ? null : regionName);
+  }
+
+  function store(regions) {
+    try {
+      saveRegions(regions);
+    } catch (error) {
+      onError(`Couldn't save regions: ${error.message}`);
+      return false;
+    }
+    saved = regions;
+    return true;
+  }
+
+  // Every shot of the baseline's seasons in the region, no other filters
+  let leagueKey = null;
+  let leagueSummary = null;
+
+  function league(baseline) {
+    const key = `${baseline.key}:${region.join(";")}`;
+    if (key !== leagueKey) {
+      const inRegion = regionContains(region);
+      leagueKey = key;
+      leagueSummary = summarize(countsAt(index, baseline.ids.filter(i => inRegion(index.x[i], index.y[i])), xp));
+    }
+    return leagueSummary;
+  }
+
+  // `shots` are ids of the selection's shots in the region; `tool` is the
+  // court tool drawing regions (null while panning), `suffix` follows the
+  // title, and `baseline` ({key, ids}) is the league to compare against
+  function draw(shots, {region: points, name, tool, suffix = "", baseline}) {
+    region = points;
+    regionName = name;
+    title.textContent = region ? `${regionName ?? "Custom region"}${suffix}` : "Region";
+    shooters.replaceChildren();
+    saveButton.disabled = clearButton.disabled = !region;
+    if (!region) {
+      stats.textContent = tool == null
+        ? "Pick Lasso or Rectangle as the court tool, or a saved region below."
+        : `Drag on the court to draw a ${tool === "Lasso" ? "lasso" : "rectangle"}.`;
+    } else {
+      const s = summarize(countsAt(index, shots, xp));
+      const l = league(baseline);
+      const pps = v => Number.isFinite(v) ? v.toFixed(2) : "–";
+      stats.innerHTML = `<div style="font-size:20px;font-weight:600">${s.attempts.toLocaleString()} FGA · ${fmtRate(s.pct)}</div>` +
+        `<div>eFG% ${fmtRate(s.efg)} · ${pps(s.pps)} pts/shot</div>` +
+        `<div style="color:var(--viz-muted)">League here: ${l.attempts.toLocaleString()} FGA, ${fmtRate(l.pct)} FG</div>`;
+      const top = Array.from(countsBy(index, shots, "player", xp))
+        .sort((a, b) => b[1].attempts - a[1].attempts || d3.ascending(a[0], b[0]))
+        .slice(0, 5);
+      for (const [player, {attempts, makes}] of top) {
+        const li = document.createElement("li");
+        li.textContent = `${player}: ${makes}/${attempts} (${fmtRate(makes / attempts)})`;
+        shooters.appendChild(li);
+      }
+    }
+
+    // Saved regions: apply by name, or delete with ×
+    savedList.replaceChildren();
+    for (const r of saved) {
+      const apply = createButton(r.name, () => onApply(r.points.map(p => p.slice()), r.name));
+      apply.setAttribute("aria-pressed", regionName === r.name);
+      apply.style.padding = "2px 8px";
+      if (regionName === r.name) apply.style.background = "var(--viz-selected)";
+      const del = createButton("×", () => remove(r.name));
+      del.setAttribute("aria-label", `Delete ${r.name}`);
+      del.style.padding = "2px 6px";
+      savedList.appendChild(apply);
+      savedList.appendChild(del);
+    }
+  }
+
+  return {
+    node,
+    draw,
+    saved: () => saved,
+    // The saved name of a region, null when it isn't one
+    nameOf: points => saved.find(r => JSON.stringify(r.points) === JSON.stringify(points))?.name ?? null
+  };
+}
@@ -0,0 +1,55 @@
+import * as d3 from "d3";
+
+// Custom court regions drawn with the lasso or rectangle tool. Points are
+// court coordinates ([LOC_X, LOC_Y], tenths of a foot), so a region is the
+// same spot at any zoom and for any player or season.
+
+const STORAGE_KEY = "nba-shot-explorer:regions";
+
+// Point-in-region test; the bounding box goes first since most shots are
+// nowhere near a small region. NaN coordinates are never inside.
+export function regionContains(points) {
+  const [x0, x1] = d3.extent(points, p => p[0]);
+  const [y0, y1] = d3.extent(points, p => p[1]);
+  return (x, y) => x >= x0 && x <= x1 && y >= y0 && y <= y1 && d3.polygonContains(points, [x, y]);
+}
+
+// A lasso has a point per pointer event: keep points at least `tolerance`
+// apart, rounded to whole units, so links and saved regions stay small
+export function simplifyRegion(points, tolerance = 5) {
+  const out = [];
+  for (const p of points) {
+    const q = p.map(Math.round);
+    const last = out[out.length - 1];
+    if (!last || Math.hypot(q[0] - last[0], q[1] - last[1]) >= tolerance) out.push(q);
+  }
+  return out;
+}
+
+// Corners of the rectangle spanned by two points
+export function rectangleRegion([ax, ay], [bx, by]) {
+  return [[ax, ay], [bx, ay], [bx, by], [ax, by]];
+}
+
+// At least three points enclosing some area (a click isn't a region)
+export function validRegion(points) {
+  return Array.isArray(points) && points.length >= 3 &&
+    points.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite)) &&
+    Math.abs(d3.polygonArea(points)) >= 1;
+}
+
+// Saved regions, [{name, points}] in the order they were saved. Storage may
+// be unavailable (private browsing, sandboxed iframes): reading then gives []
+// and saving throws.
+export function loadRegions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(saved) ? saved.filter(r => typeof r?.name === "string" && validRegion(r.points)) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveRegions(regions) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(regions));
+}
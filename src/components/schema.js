@@ -0,0 +1,286 @@
+import * as d3 from "d3";
+import {COURT, classifyZone, zoneById} from "./court.js";
+
+// Shot CSVs from different seasons and sources name their columns slightly
+// differently. Each field lists the headers it accepts (matched
+// case-insensitively, first hit wins); an explicit `columns` mapping takes
+// precedence when its header exists.
+export const FIELDS = {
+  x: {required: true, names: ["LOC_X", "LOCX", "X"]},
+  y: {required: true, names: ["LOC_Y", "LOCY", "Y"]},
+  made: {required: true, names: ["SHOT_MADE", "SHOT_MADE_FLAG", "MADE", "EVENT_TYPE"]},
+  player: {required: true, names: ["PLAYER_NAME", "PLAYER", "NAME"]},
+  team: {required: true, names: ["TEAM_NAME", "TEAM"]},
+  distance: {names: ["SHOT_DISTANCE", "SHOT_DIST", "DISTANCE"]},
+  date: {names: ["GAME_DATE", "DATE", "GAME_DATE_EST"]},
+  quarter: {names: ["QUARTER", "PERIOD"]},
+  minsLeft: {names: ["MINS_LEFT", "MINUTES_REMAINING", "MINUTES_LEFT"]},
+  secsLeft: {names: ["SECS_LEFT", "SECONDS_REMAINING", "SECONDS_LEFT"]},
+  homeTeam: {names: ["HOME_TEAM", "HTM"]},
+  awayTeam: {names: ["AWAY_TEAM", "VTM"]},
+  gameId: {names: ["GAME_ID", "GAMEID"]}
+};
+
+// Tried in order; the format that parses the most sampled dates is used
+export const DATE_FORMATS = ["%m-%d-%Y", "%Y-%m-%d", "%m/%d/%Y", "%Y%m%d", "%Y-%m-%dT%H:%M:%S", "%b %d, %Y"];
+
+const MADE_VALUES = new Map([
+  ["true", 1], ["1", 1], ["made", 1], ["made shot", 1], ["y", 1],
+  ["false", 0], ["0", 0], ["missed", 0], ["missed shot", 0], ["n", 0]
+]);
+
+// Match each field to a header. Returns the mapping plus the required fields
+// that could not be found.
+export function resolveColumns(headers, columns = {}) {
+  const byUpper = new Map(headers.map(h => [h.toUpperCase(), h]));
+  const resolved = {};
+  const missing = [];
+  for (const [field, {required, names}] of Object.entries(FIELDS)) {
+    const preferred = columns[field] != null && headers.includes(columns[field]) ? columns[field] : null;
+    const header = preferred ?? names.map(n => byUpper.get(n)).find(Boolean);
+    if (header) resolved[field] = header;
+    else if (required) missing.push(field);
+  }
+  return {columns: resolved, missing};
+}
+
+// Pick the date format that parses the most of a sample of values
+export function detectDateFormat(values) {
+  const sample = values.filter(v => v != null && v !== "").slice(0, 200);
+  let best = null;
+  let bestCount = 0;
+  for (const format of DATE_FORMATS) {
+    const parse = d3.timeParse(format);
+    const count = sample.filter(v => parse(String(v))).length;
+    if (count > bestCount) {
+      best = format;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Normalize one season's rows into the explorer's `__` fields. Rows whose
+// coordinates or result can't be read are dropped and counted in `issues`
+// rather than turning into NaN dots.
+export function adaptSeason(rows, {season = "", columns: preferred = {}} = {}) {
+  const headers = rows.columns ?? Object.keys(rows[0] ?? {});
+  const {columns, missing} = resolveColumns(headers, preferred);
+  const issues = [];
+  for (const field of missing) {
+    issues.push(`Missing required column for ${field} (looked for ${[preferred[field], ...FIELDS[field].names].filter(Boolean).join(", ")})`);
+  }
+  // A shared mapping may name headers another season spells differently; that
+  // is only worth reporting when no alias matched either
+  for (const [field, header] of Object.entries(preferred)) {
+    if (header != null && FIELDS[field] && !FIELDS[field].required && !columns[field]) {
+      issues.push(`Optional column "${header}" for ${field} not found`);
+    }
+  }
+  if (missing.length) return {season, rows: [], columns, headers, issues};
+
+  const dateFormat = columns.date ? detectDateFormat(rows.map(d => d[columns.date])) : null;
+  const parseDate = dateFormat ? d3.timeParse(dateFormat) : () => null;
+  if (columns.date && !dateFormat) issues.push(`Unrecognized ${columns.date} format; dates are ignored`);
+
+  const num = v => v == null || v === "" ? null : Number.isFinite(+v) ? +v : null;
+  const out = [];
+  let badXY = 0;
+  let badMade = 0;
+  let badDate = 0;
+  let derivedDist = 0;
+  for (const d of rows) {
+    const x = num(d[columns.x]);
+    const y = num(d[columns.y]);
+    if (x == null || y == null) {
+      badXY++;
+      continue;
+    }
+    const rawMade = d[columns.made];
+    const made = rawMade === true ? 1 : rawMade === false ? 0 : MADE_VALUES.get(String(rawMade).trim().toLowerCase());
+    if (made == null) {
+      badMade++;
+      continue;
+    }
+    const row = {...d};
+    row.__season = season;
+    row.__x = x;
+    row.__y = y;
+    row.__made = made;
+    row.__player = d[columns.player];
+    row.__team = d[columns.team];
+    row.__dist = columns.distance ? num(d[columns.distance]) : null;
+    if (row.__dist == null) {
+      // Court units are tenths of a foot, measured from the hoop
+      row.__dist = Math.hypot(x, y - COURT.hoopY) / 10;
+      derivedDist++;
+    }
+    row.__date = columns.date ? parseDate(String(d[columns.date] ?? "")) : null;
+    if (columns.date && !row.__date && dateFormat) badDate++;
+    row.__q = columns.quarter ? num(d[columns.quarter]) : null;
+    row.__mins = columns.minsLeft ? num(d[columns.minsLeft]) : null;
+    row.__secs = columns.secsLeft ? num(d[columns.secsLeft]) : null;
+    row.__clock = row.__mins != null ? row.__mins * 60 + (row.__secs ?? 0) : null; // seconds left in the period
+    row.__zone = classifyZone(x, y);
+    row.__value = zoneById.get(row.__zone)?.points ?? 2; // points for a make
+    row.__game = columns.gameId ? d[columns.gameId] || null : null;
+    row.__homeTeam = columns.homeTeam ? d[columns.homeTeam] || null : null;
+    row.__awayTeam = columns.awayTeam ? d[columns.awayTeam] || null : null;
+    out.push(row);
+  }
+  resolveMatchups(out);
+
+  if (badXY) issues.push(`Dropped ${badXY} rows with missing or non-numeric ${columns.x}/${columns.y}`);
+  if (badMade) issues.push(`Dropped ${badMade} rows with an unreadable ${columns.made} value`);
+  if (badDate) issues.push(`${badDate} rows have a ${columns.date} that doesn't match ${dateFormat}`);
+  if (derivedDist) issues.push(`Derived shot distance from coordinates for ${derivedDist} rows`);
+  return {season, rows: out, columns, headers, dateFormat, issues};
+}
+
+// HOME_TEAM/AWAY_TEAM usually hold abbreviations while TEAM_NAME is spelled
+// out. A team's code is the one that appears in (nearly) all of its shots;
+// the other side of each game is the opponent, named like TEAM_NAME when that
+// team also appears in the data. Sets `__opponent` and `__atHome` (null when
+// unknown).
+export function resolveMatchups(rows) {
+  const codes = new Map();
+  for (const d of rows) {
+    if (!d.__homeTeam || !d.__awayTeam) continue;
+    const counts = codes.get(d.__team) ?? new Map();
+    counts.set(d.__homeTeam, (counts.get(d.__homeTeam) ?? 0) + 1);
+    counts.set(d.__awayTeam, (counts.get(d.__awayTeam) ?? 0) + 1);
+    codes.set(d.__team, counts);
+  }
+  const codeOf = new Map(Array.from(codes, ([team, counts]) => [team, d3.greatest(counts, ([, n]) => n)[0]]));
+  const nameOf = new Map(Array.from(codeOf, ([team, code]) => [code, team]));
+  for (const d of rows) {
+    const code = codeOf.get(d.__team);
+    if (!code || !d.__homeTeam || !d.__awayTeam) {
+      d.__opponent = null;
+      d.__atHome = null;
+      continue;
+    }
+    d.__atHome = d.__homeTeam === code;
+    const opponent = d.__atHome ? d.__awayTeam : d.__homeTeam;
+    d.__opponent = nameOf.get(opponent) ?? opponent;
+  }
+}
+
+// Columns of the shots.arrow artifacts written by src/data/[season]/shots.arrow.js.
+// Unknown quarters and clocks are stored as -1, unknown dates as null.
+export const TABLE_COLUMNS = ["x", "y", "made", "player", "team", "distance", "date", "quarter", "clock", "zone", "value"];
+// Written when the source CSV had them: opponent and game as strings (null
+// when unknown), home as 1/0 (-1 when unknown)
+export const MATCHUP_COLUMNS = ["opponent", "home", "game"];
+// The source CSV's own columns follow under this prefix, values as read, so
+// exports keep the original names and values
+export const SOURCE_PREFIX = "source:";
+
+// A dictionary-encoded string column as {values, codes}: row i's value is
+// values[codes[i]], or null when codes[i] is -1. Each distinct string is
+// decoded once rather than once per row.
+export function dictionaryCodes(vector) {
+  const values = [];
+  const lookup = new Map();
+  const codes = new Int32Array(vector.length);
+  let row = 0;
+  for (const data of vector.data) {
+    const local = Array.from(data.dictionary.toArray(), value => {
+      if (!lookup.has(value)) {
+        lookup.set(value, values.length);
+        values.push(value);
+      }
+      return lookup.get(value);
+    });
+    for (let i = 0; i < data.length; i++) codes[row++] = data.getValid(i) ? local[data.values[i]] : -1;
+  }
+  return {values, codes};
+}
+
+// A shots.arrow artifact as typed columns, without a row object per shot:
+// numbers as typed arrays (NaN when unknown, dates as epoch ms), strings as
+// dictionaryCodes, and row(i) to build one row on demand. The build already
+// normalized and validated the shots. `headers` are the source CSV's. A
+// table is decoded once per season label, so a page and the explorer on it
+// share the columns; nothing may write to them.
+const decoded = new WeakMap();
+
+export function readTable(table, {season = ""} = {}) {
+  const bySeason = decoded.get(table) ?? new Map();
+  decoded.set(table, bySeason);
+  if (!bySeason.has(season)) bySeason.set(season, decodeTable(table, season));
+  return bySeason.get(season);
+}
+
+function decodeTable(table, season) {
+  const fields = table.schema.fields.map(f => f.name);
+  const headers = fields.filter(name => name.startsWith(SOURCE_PREFIX)).map(name => name.slice(SOURCE_PREFIX.length));
+  const missing = TABLE_COLUMNS.filter(name => !fields.includes(name));
+  if (missing.length) {
+    return {season, headers, length: 0, columns: null, row: null, issues: [`Shot table is missing ${missing.join(", ")}`]};
+  }
+
+  const numbers = name => Float64Array.from(table.getChild(name).toArray(), v => v < 0 && (name === "quarter" || name === "clock") ? NaN : v);
+  const strings = name => table.getChild(name) && dictionaryCodes(table.getChild(name));
+  // Dates repeat a lot; parse each distinct day once
+  const dates = strings("date");
+  const days = dates.values.map(d3.timeParse("%Y-%m-%d")).map(d => d ? +d : NaN);
+  const columns = {
+    x: numbers("x"),
+    y: numbers("y"),
+    made: table.getChild("made").toArray(),
+    value: table.getChild("value").toArray(),
+    dist: numbers("distance"),
+    date: Float64Array.from(dates.codes, c => c < 0 ? NaN : days[c]),
+    quarter: numbers("quarter"),
+    clock: numbers("clock"),
+    player: strings("player"),
+    team: strings("team"),
+    zone: strings("zone")
+  };
+  const [opponent, game] = ["opponent", "game"].map(strings);
+  const home = table.getChild("home")?.toArray();
+  const source = headers.map(h => [h, strings(SOURCE_PREFIX + h)]);
+  const text = ({values, codes}, i) => codes[i] < 0 ? null : values[codes[i]];
+  const known = v => Number.isFinite(v) ? v : null;
+
+  // The source columns under their own names plus the `__` fields, as
+  // adaptSeason makes them
+  function row(i) {
+    const d = {};
+    for (const [h, column] of source) d[h] = text(column, i);
+    const c = known(columns.clock[i]);
+    d.__season = season;
+    d.__x = columns.x[i];
+    d.__y = columns.y[i];
+    d.__made = columns.made[i];
+    d.__player = text(columns.player, i);
+    d.__team = text(columns.team, i);
+    d.__dist = known(columns.dist[i]);
+    d.__date = Number.isFinite(columns.date[i]) ? new Date(columns.date[i]) : null;
+    d.__q = known(columns.quarter[i]);
+    d.__mins = c != null ? Math.floor(c / 60) : null;
+    d.__secs = c != null ? c % 60 : null;
+    d.__clock = c;
+    d.__zone = text(columns.zone, i);
+    d.__value = columns.value[i];
+    d.__opponent = opponent ? text(opponent, i) : null;
+    d.__atHome = home && home[i] >= 0 ? home[i] === 1 : null;
+    d.__game = game ? text(game, i) : null;
+    return d;
+  }
+
+  return {season, headers, length: table.numRows, columns, row, dateFormat: "%Y-%m-%d", issues: []};
+}
+
+// Rows of just the shots whose string column `field` (player, team or zone)
+// is `value` in a readTable result, found through its codes so no other
+// shot gets a row object
+export function tableRows({length, columns, row}, field, value) {
+  const code = columns ? columns[field].values.indexOf(value) : -1;
+  const rows = [];
+  if (code < 0) return rows;
+  const {codes} = columns[field];
+  for (let i = 0; i < length; i++) if (codes[i] === code) rows.push(row(i));
+  return rows;
+}
@@ -0,0 +1,168 @@
+import {emptyCounts} from "./stats.js";
+
+// The typed columns of adapted CSV rows (see adaptSeason in schema.js), in
+// the shape readTable gives for Arrow artifacts: numbers as typed arrays with
+// NaN for missing values, strings as {values, codes} with -1 for null.
+export function rowColumns(rows) {
+  const strings = (accessor) => {
+    const values = [];
+    const lookup = new Map();
+    const codes = new Int32Array(rows.length);
+    for (let i = 0; i < rows.length; i++) {
+      const value = accessor(rows[i]);
+      if (value == null) {
+        codes[i] = -1;
+        continue;
+      }
+      let code = lookup.get(value);
+      if (code === undefined) {
+        lookup.set(value, code = values.length);
+        values.push(value);
+      }
+      codes[i] = code;
+    }
+    return {values, codes};
+  };
+  const numbers = (accessor) => Float64Array.from(rows, d => accessor(d) ?? NaN);
+  return {
+    x: numbers(d => d.__x),
+    y: numbers(d => d.__y),
+    made: Uint8Array.from(rows, d => d.__made),
+    value: Uint8Array.from(rows, d => d.__value),
+    dist: numbers(d => d.__dist),
+    date: numbers(d => d.__date && +d.__date),
+    quarter: numbers(d => d.__q),
+    clock: numbers(d => d.__clock),
+    player: strings(d => d.__player),
+    team: strings(d => d.__team),
+    zone: strings(d => d.__zone)
+  };
+}
+
+// Columnar copy of the processed shots of every season. Filters run as a
+// single pass over typed arrays, and selections are arrays of shot indices
+// rather than row objects. Strings (player, team, season, zone) are
+// dictionary-encoded: `codes[i]` is the position of shot i's value in
+// `values`, and `keys` maps each value back to its code. Missing numbers are
+// NaN, so any range test on them fails. `seasons` are
+// {season, length, columns, row} (see readTable and rowColumns); row(i)
+// builds shot i's row object each time it's asked for, and nothing here
+// holds on to it.
+export function shotIndex(seasons) {
+  const parts = seasons.filter(p => p.length);
+  const starts = [];
+  let length = 0;
+  for (const p of parts) {
+    starts.push(length);
+    length += p.length;
+  }
+  const join = (name, Type) => {
+    const out = new Type(length);
+    parts.forEach((p, k) => out.set(p.columns[name], starts[k]));
+    return out;
+  };
+  const dictionary = () => {
+    const keys = new Map();
+    const values = [];
+    const code = value => {
+      let c = keys.get(value);
+      if (c === undefined) {
+        keys.set(value, c = values.length);
+        values.push(value);
+      }
+      return c;
+    };
+    return {keys, values, codes: new Int32Array(length), code};
+  };
+  const encode = (name) => {
+    const {code, ...out} = dictionary();
+    parts.forEach((p, k) => {
+      const {values, codes} = p.columns[name];
+      const remap = values.map(code);
+      for (let i = 0; i < p.length; i++) out.codes[starts[k] + i] = codes[i] < 0 ? code(null) : remap[codes[i]];
+    });
+    return out;
+  };
+  const {code, ...season} = dictionary();
+  parts.forEach((p, k) => season.codes.fill(code(p.season), starts[k], starts[k] + p.length));
+
+  function row(i) {
+    let k = parts.length - 1;
+    while (starts[k] > i) k--;
+    return parts[k].row(i - starts[k]);
+  }
+
+  return {
+    length,
+    row,
+    player: encode("player"),
+    team: encode("team"),
+    season,
+    zone: encode("zone"),
+    made: join("made", Uint8Array),
+    value: join("value", Uint8Array),
+    x: join("x", Float64Array),
+    y: join("y", Float64Array),
+    dist: join("dist", Float64Array),
+    date: join("date", Float64Array),
+    quarter: join("quarter", Float64Array),
+    clock: join("clock", Float64Array)
+  };
+}
+
+// 1 for every code whose key is in `values`, for lookups inside the filter loop
+export function codeMask({keys}, values) {
+  const mask = new Uint8Array(keys.size);
+  for (const v of values) {
+    const code = keys.get(v);
+    if (code !== undefined) mask[code] = 1;
+  }
+  return mask;
+}
+
+// stats.js counts plus expected makes and points
+function emptyExpectedCounts() {
+  return {...emptyCounts(), xMakes: 0, xPoints: 0};
+}
+
+function addShotAt(c, index, i, xp) {
+  const made = index.made[i];
+  const value = index.value[i];
+  const dist = index.dist[i];
+  c.attempts++;
+  c.makes += made;
+  if (value === 3) {
+    c.threes++;
+    c.threeMakes += made;
+  }
+  c.points += made * value;
+  if (Number.isFinite(dist)) {
+    c.distSum += dist;
+    c.distCount++;
+  }
+  c.xMakes += xp[i];
+  c.xPoints += xp[i] * value;
+}
+
+// Counts of the shots `ids` (indices into the index), with `xp` holding every
+// shot's make probability (see expected.js)
+export function countsAt(index, ids, xp) {
+  const c = emptyExpectedCounts();
+  for (let j = 0; j < ids.length; j++) addShotAt(c, index, ids[j], xp);
+  return c;
+}
+
+// The same per value of a string column (e.g. "player"), in order of first
+// appearance among `ids`
+export function countsBy(index, ids, column, xp) {
+  const {values, codes} = index[column];
+  const byCode = new Array(values.length);
+  const out = new Map();
+  for (let j = 0; j < ids.length; j++) {
+    const i = ids[j];
+    let c = byCode[codes[i]];
+    if (!c) out.set(values[codes[i]], c = byCode[codes[i]] = emptyExpectedCounts());
+    addShotAt(c, index, i, xp);
+  }
+  return out;
+}
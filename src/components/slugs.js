@@ -0,0 +1,44 @@
+import {slugify} from "./export.js";
+
+// URL segments of the player profiles and team dashboards. The build's
+// dynamicPaths (src/data/seasons.js) and the pages both use them, so this
+// module stays free of the UI code.
+
+// "Shaquille O'Neal" -> "shaquille-o-neal"
+export function playerSlug(name) {
+  return slugify(String(name));
+}
+
+// "Los Angeles Lakers" -> "los-angeles-lakers"
+export function teamSlug(name) {
+  return slugify(String(name));
+}
+
+// Name -> slug for every name. Names that slugify alike ("José Calderón" and
+// "Jose Calderon") would share a page, so all but the first in sorted order
+// get -2, -3, …; sorting keeps the build and the pages in agreement.
+function uniqueSlugs(names, slug) {
+  const out = new Map();
+  const taken = new Set();
+  for (const name of Array.from(new Set(names)).sort()) {
+    const base = slug(name);
+    let s = base;
+    for (let k = 2; taken.has(s); k++) s = `${base}-${k}`;
+    taken.add(s);
+    out.set(name, s);
+  }
+  return out;
+}
+
+export function playerSlugs(names) {
+  return uniqueSlugs(names, playerSlug);
+}
+
+export function teamSlugs(names) {
+  return uniqueSlugs(names, teamSlug);
+}
+
+// The name behind a slug in a playerSlugs/teamSlugs map (undefined if none)
+export function nameOfSlug(slugs, slug) {
+  for (const [name, s] of slugs) if (s === slug) return name;
+}
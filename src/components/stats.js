@@ -0,0 +1,243 @@
+import * as d3 from "d3";
+import {ZONES} from "./court.js";
+import {hexbin} from "./hexbin.js";
+
+// Summaries are built from additive counts so that precomputed aggregates
+// (see src/data/[season]/aggregates.json.js) for several seasons or teams can
+// be added together before turning them into percentages.
+export function emptyCounts() {
+  return {attempts: 0, makes: 0, threes: 0, threeMakes: 0, points: 0, distSum: 0, distCount: 0};
+}
+
+// Add one shot from its result (1/0), point value and distance
+function addResult(c, made, value, dist) {
+  c.attempts++;
+  c.makes += made;
+  if (value === 3) {
+    c.threes++;
+    c.threeMakes += made;
+  }
+  c.points += made * value;
+  if (Number.isFinite(dist)) {
+    c.distSum += dist;
+    c.distCount++;
+  }
+}
+
+// Add one processed shot (the `__`-prefixed rows built by schema.js)
+function addShot(c, d) {
+  addResult(c, d.__made, d.__value, d.__dist);
+}
+
+export function addCounts(a, b) {
+  for (const key in b) a[key] += b[key];
+  return a;
+}
+
+export function shotCounts(shots) {
+  const c = emptyCounts();
+  for (const d of shots) addShot(c, d);
+  return c;
+}
+
+// Counts -> attempts, FG%, 2PT/3PT split, eFG%, points per shot and average
+// distance. Percentages are NaN when there are no attempts.
+export function summarize(c) {
+  const {attempts, makes, threes, threeMakes} = c;
+  return {
+    attempts,
+    makes,
+    pct: attempts ? makes / attempts : NaN,
+    twos: attempts - threes,
+    threes,
+    threeMakes,
+    threeRate: attempts ? threes / attempts : NaN,
+    efg: attempts ? (makes + 0.5 * threeMakes) / attempts : NaN,
+    pps: attempts ? c.points / attempts : NaN,
+    avgDist: c.distCount ? c.distSum / c.distCount : NaN
+  };
+}
+
+// Shooting summary for an array of processed shots
+export function shotSummary(shots) {
+  return summarize(shotCounts(shots));
+}
+
+// Zone id -> counts
+export function zoneCounts(shots) {
+  const zones = {};
+  for (const d of shots) addShot(zones[d.__zone] ??= emptyCounts(), d);
+  return zones;
+}
+
+// Per-zone attempts, makes, FG%, points per shot and share of all attempts
+export function summarizeZones(zones) {
+  let total = 0;
+  for (const id in zones) total += zones[id].attempts;
+  return new Map(ZONES.map(z => {
+    const {attempts, makes, points} = zones[z.id] ?? emptyCounts();
+    return [z.id, {
+      attempts,
+      makes,
+      pct: attempts ? makes / attempts : NaN,
+      pps: attempts ? points / attempts : NaN,
+      share: total ? attempts / total : 0
+    }];
+  }));
+}
+
+export function zoneSummary(shots) {
+  return summarizeZones(zoneCounts(shots));
+}
+
+// League, per-zone, per-team and per-player (by team) counts for a set of shots
+export function aggregate(shots) {
+  const league = emptyCounts();
+  const zones = {};
+  const teams = {};
+  const players = {};
+  for (const d of shots) {
+    addShot(league, d);
+    addShot(zones[d.__zone] ??= emptyCounts(), d);
+    addShot(teams[d.__team] ??= emptyCounts(), d);
+    addShot((players[d.__team] ??= {})[d.__player] ??= emptyCounts(), d);
+  }
+  return {league, zones, teams, players};
+}
+
+// Sum of several aggregate() results (e.g. the selected seasons)
+export function mergeAggregates(list) {
+  const out = {league: emptyCounts(), zones: {}, teams: {}, players: {}};
+  for (const a of list) {
+    addCounts(out.league, a.league);
+    for (const id in a.zones) addCounts(out.zones[id] ??= emptyCounts(), a.zones[id]);
+    for (const team in a.teams) addCounts(out.teams[team] ??= emptyCounts(), a.teams[team]);
+    for (const team in a.players) {
+      for (const player in a.players[team]) {
+        addCounts((out.players[team] ??= {})[player] ??= emptyCounts(), a.players[team][player]);
+      }
+    }
+  }
+  return out;
+}
+
+// Shots of PROFILE_FEET ft or more share the last distance bin
+export const PROFILE_FEET = 35;
+export const PERIODS = ["Q1", "Q2", "Q3", "Q4", "OT"];
+
+const emptyTally = () => ({attempts: 0, makes: 0});
+
+function emptyProfile() {
+  return {
+    shots: emptyCounts(),
+    zones: {},
+    months: {},
+    distance: Array.from({length: PROFILE_FEET + 1}, emptyTally),
+    periods: Object.fromEntries(PERIODS.map(p => [p, emptyTally()])),
+    minutes: Array.from({length: 12}, emptyTally)
+  };
+}
+
+// "2004-01"; dates are parsed and read in local time on both sides
+const monthKey = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+// The counts behind the profile charts (see profile.js): shooting counts
+// overall and per zone, then attempts and makes per calendar month, per 1-ft
+// distance bin, per period (overtimes grouped) and per whole minute left in a
+// regulation quarter. The aggregates loader writes the league's; a page counts
+// one player's or team's. The accessors read a shot's fields; by default
+// shots are processed rows, and columnAccessors reads readTable columns.
+export function profileCounts(shots, {made = d => d.__made, value = d => d.__value, dist = d => d.__dist, zone = d => d.__zone,
+  date = d => d.__date, quarter = d => d.__q, clock = d => d.__clock} = {}) {
+  const p = emptyProfile();
+  const tally = (t, m) => {
+    t.attempts++;
+    t.makes += m;
+  };
+  for (const d of shots) {
+    const m = made(d);
+    const ft = dist(d);
+    addResult(p.shots, m, value(d), ft);
+    addResult(p.zones[zone(d)] ??= emptyCounts(), m, value(d), ft);
+    const day = date(d);
+    if (day) tally(p.months[monthKey(day)] ??= emptyTally(), m);
+    if (Number.isFinite(ft)) tally(p.distance[Math.min(PROFILE_FEET, Math.max(0, Math.floor(ft)))], m);
+    const q = quarter(d);
+    const period = p.periods[q <= 4 ? `Q${q}` : "OT"];
+    if (!Number.isFinite(q) || !period) continue;
+    tally(period, m);
+    const c = clock(d);
+    if (q <= 4 && Number.isFinite(c)) tally(p.minutes[Math.min(11, Math.floor(c / 60))], m);
+  }
+  return p;
+}
+
+// profileCounts accessors for shot indices into readTable (or rowColumns) columns
+export function columnAccessors(columns) {
+  const text = ({values, codes}) => i => codes[i] < 0 ? null : values[codes[i]];
+  return {
+    made: i => columns.made[i],
+    value: i => columns.value[i],
+    dist: i => columns.dist[i],
+    zone: text(columns.zone),
+    date: i => Number.isFinite(columns.date[i]) ? new Date(columns.date[i]) : null,
+    quarter: i => columns.quarter[i],
+    clock: i => columns.clock[i]
+  };
+}
+
+// Sum of several profileCounts() results
+export function mergeProfiles(list) {
+  const out = emptyProfile();
+  const add = (a, b) => {
+    a.attempts += b.attempts;
+    a.makes += b.makes;
+  };
+  for (const p of list) {
+    addCounts(out.shots, p.shots);
+    for (const id in p.zones) addCounts(out.zones[id] ??= emptyCounts(), p.zones[id]);
+    for (const month in p.months) add(out.months[month] ??= emptyTally(), p.months[month]);
+    p.distance.forEach((t, ft) => add(out.distance[ft], t));
+    for (const period of PERIODS) add(out.periods[period], p.periods[period]);
+    p.minutes.forEach((t, minute) => add(out.minutes[minute], t));
+  }
+  return out;
+}
+
+// Hexagons of the league's team grid (teamGrid in team.js) in court units,
+// measured from the grid's top-left corner (250 left of the rim, yMax up the
+// court): 1-ft (10-unit) radius, shots out to 35 ft from the baseline
+export const TEAM_GRID = {radius: 10, yMax: 300};
+
+export const teamHexbin = hexbin({x: d => d.__x + 250, y: d => TEAM_GRID.yMax - d.__y, radius: TEAM_GRID.radius});
+
+// Where each team shoots from, for the team pages: per-team zone counts, and
+// [attempts, makes] per team grid hexagon id (pairs rather than objects keep
+// the aggregates artifact small)
+export function teamCourts(shots) {
+  const zones = {};
+  const bins = {};
+  for (const d of shots) addShot((zones[d.__team] ??= {})[d.__zone] ??= emptyCounts(), d);
+  for (const [team, v] of d3.group(shots.filter(d => d.__y <= TEAM_GRID.yMax), d => d.__team)) {
+    bins[team] = Object.fromEntries(teamHexbin(v).map(b => [b.id, [b.length, d3.sum(b, d => d.__made)]]));
+  }
+  return {zones, bins};
+}
+
+// Sum of several teamCourts() results
+export function mergeTeamCourts(list) {
+  const out = {zones: {}, bins: {}};
+  for (const {zones, bins} of list) {
+    for (const team in zones) {
+      for (const id in zones[team]) addCounts((out.zones[team] ??= {})[id] ??= emptyCounts(), zones[team][id]);
+    }
+    for (const team in bins) {
+      for (const id in bins[team]) {
+        const b = (out.bins[team] ??= {})[id] ??= [0, 0];
+        b[0] += bins[team][id][0];
+        b[1] += bins[team][id][1];
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,91 @@
+import * as d3 from "d3";
+
+// Rates as percentages, "–" when there's nothing to divide by
+export const fmtRate = v => Number.isFinite(v) ? d3.format(".1%")(v) : "–";
+
+// Fill `table` with rows sorted by `sort` ({key, desc}) and clickable headers
+// that call onSort with the next sort. Columns: {key, label, fmt, href?}, with
+// fmt(value, row); the first `textColumns` columns are left-aligned text, the
+// rest numbers, which sort descending first. NaN sorts last either way.
+// Without `sort` the rows keep their order, and without onSort the headers
+// are plain. `rowHeaders` makes each row's first cell its header. With
+// `toggle` ({pressed(row), onToggle(row)}) the first cells are toggle buttons
+// and the rows are clickable; focus stays on a button across redraws.
+// Colors follow the --viz-* theme variables (see theme.js), dark when unset.
+export function renderSortableTable(table, {columns, rows, sort = null, onSort, textColumns = 2, caption, rowHeaders = false, toggle}) {
+  if (sort) {
+    const {key, desc} = sort;
+    rows = rows.slice().sort((a, b) => {
+      const va = a[key];
+      const vb = b[key];
+      if (typeof va === "number" && (Number.isNaN(va) || Number.isNaN(vb))) return Number.isNaN(va) - Number.isNaN(vb);
+      return desc ? d3.descending(va, vb) : d3.ascending(va, vb);
+    });
+  }
+  const focused = toggle && table.contains(document.activeElement) ? document.activeElement.textContent : null;
+
+  table.innerHTML = "";
+  if (caption) {
+    const cap = table.createCaption();
+    cap.textContent = caption;
+    cap.style.textAlign = "left";
+    cap.style.color = "var(--viz-muted)";
+  }
+  const thead = table.createTHead().insertRow();
+  for (const [i, col] of columns.entries()) {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = col.label + (col.key === sort?.key ? (sort.desc ? " ▼" : " ▲") : "");
+    th.style.textAlign = i >= textColumns ? "right" : "left";
+    th.style.padding = "4px 8px";
+    th.style.borderBottom = "1px solid var(--viz-rule, #555)";
+    th.style.position = "sticky";
+    th.style.top = "0";
+    th.style.background = "var(--viz-background, #1a1a1a)";
+    if (onSort) {
+      th.style.cursor = "pointer";
+      th.onclick = () => onSort({key: col.key, desc: col.key === sort?.key ? !sort.desc : i >= textColumns});
+    }
+    thead.appendChild(th);
+  }
+  const tbody = table.createTBody();
+  for (const row of rows) {
+    const tr = tbody.insertRow();
+    const pressed = toggle?.pressed(row);
+    if (toggle) {
+      tr.style.cursor = "pointer";
+      tr.style.background = pressed ? "var(--viz-selected)" : "";
+      tr.onclick = () => toggle.onToggle(row);
+    }
+    for (const [i, col] of columns.entries()) {
+      const header = rowHeaders && !i;
+      const td = document.createElement(header ? "th" : "td");
+      if (header) {
+        td.scope = "row";
+        td.style.fontWeight = "normal";
+      }
+      const text = col.fmt(row[col.key], row);
+      if (toggle && !i) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.setAttribute("aria-pressed", pressed);
+        button.textContent = text;
+        Object.assign(button.style, {background: "none", border: "none", padding: "0", color: "inherit", font: "inherit", cursor: "pointer"});
+        td.appendChild(button);
+      } else if (col.href) {
+        const a = document.createElement("a");
+        a.href = col.href(row);
+        a.textContent = text;
+        a.style.color = "var(--viz-link, #6ba3e8)";
+        td.appendChild(a);
+      } else {
+        td.textContent = text;
+      }
+      td.style.textAlign = i >= textColumns ? "right" : "left";
+      td.style.padding = "3px 8px";
+      td.style.borderBottom = "1px solid var(--viz-border, #333)";
+      tr.appendChild(td);
+    }
+  }
+  if (focused != null) Array.from(tbody.querySelectorAll("button")).find(b => b.textContent === focused)?.focus();
+}
@@ -0,0 +1,150 @@
+import * as d3 from "d3";
+import {ZONES, zonePolygons} from "./court.js";
+import {shotSummary, mergeAggregates, mergeTeamCourts, teamHexbin, TEAM_GRID} from "./stats.js";
+import {renderSortableTable, fmtRate} from "./table.js";
+import {setPageThemeVars} from "./theme.js";
+
+// Team dashboards (src/teams/[team].md) and the league grid
+// (src/teams/index.md)
+
+// Zones grouped into the shot types tracked over the season
+export const SHOT_TYPES = [
+  {id: "rim", name: "Restricted area", zones: ["ra"], color: "#e15759"},
+  {id: "paint", name: "Paint (non-RA)", zones: ["paint"], color: "#f28e2b"},
+  {id: "mid", name: "Mid-range", zones: ["midLeft", "midCenter", "midRight"], color: "#edc948"},
+  {id: "corner3", name: "Corner 3", zones: ["corner3Left", "corner3Right"], color: "#59a14f"},
+  {id: "above3", name: "Above-the-break 3", zones: ["aboveBreak3", "backcourt"], color: "#4e79a7"}
+];
+
+const typeOfZone = new Map(SHOT_TYPES.flatMap(t => t.zones.map(z => [z, t.id])));
+
+// Share of each shot type per calendar month: [{month, attempts, rim, paint, …}]
+export function shotMix(shots) {
+  const byMonth = d3.group(shots.filter(d => d.__date), d => +d3.timeMonth.floor(d.__date));
+  return Array.from(byMonth, ([month, v]) => {
+    const counts = d3.rollup(v, g => g.length, d => typeOfZone.get(d.__zone));
+    return {
+      month: new Date(month),
+      attempts: v.length,
+      ...Object.fromEntries(SHOT_TYPES.map(t => [t.id, (counts.get(t.id) ?? 0) / v.length]))
+    };
+  }).sort((a, b) => a.month - b.month);
+}
+
+// One row per group (opponent, home/away, …) with volume and efficiency
+export function splitRows(shots, key) {
+  return Array.from(d3.group(shots.filter(d => key(d) != null), key), ([label, v]) => {
+    const s = shotSummary(v);
+    const games = new Set(v.map(d => d.__game).filter(g => g != null)).size;
+    return {label: String(label), games, ...s, perGame: games ? s.attempts / games : NaN};
+  });
+}
+
+// Sortable table of splitRows; `label` names the first column
+export function splitTable(rows, label) {
+  const table = setPageThemeVars(document.createElement("table"));
+  table.style.borderCollapse = "collapse";
+  table.style.width = "100%";
+  table.style.fontSize = "13px";
+  table.style.fontVariantNumeric = "tabular-nums";
+  table.style.background = "var(--viz-background)";
+  table.style.color = "var(--viz-text)";
+  const columns = [
+    {key: "label", label, fmt: String},
+    {key: "games", label: "Games", fmt: v => v ? v.toLocaleString() : "–"},
+    {key: "attempts", label: "FGA", fmt: v => v.toLocaleString()},
+    {key: "perGame", label: "FGA/G", fmt: v => Number.isFinite(v) ? v.toFixed(1) : "–"},
+    {key: "pct", label: "FG%", fmt: fmtRate},
+    {key: "efg", label: "eFG%", fmt: fmtRate},
+    {key: "threeRate", label: "3PA Rate", fmt: fmtRate},
+    {key: "pps", label: "Pts/Shot", fmt: v => Number.isFinite(v) ? v.toFixed(2) : "–"}
+  ];
+  let sort = {key: "attempts", desc: true};
+  const draw = () => renderSortableTable(table, {
+    columns,
+    rows,
+    sort,
+    textColumns: 1,
+    onSort: next => {
+      sort = next;
+      draw();
+    }
+  });
+  draw();
+  return table;
+}
+
+// Every team's hexbin chart side by side at the same scale: hexagon area is
+// the share of that team's attempts (so volume differences don't dominate)
+// and color is FG%, as in the explorer's hexbin view. Charts show the court
+// up to 35 ft from the baseline. Everything comes from the seasons'
+// aggregates (the teamCourts hexagons, see stats.js), not from the shots.
+export function teamGrid(aggregates, {href = null, size = 200} = {}) {
+  const {yMax} = TEAM_GRID;
+  const w = size;
+  const h = Math.round(size * (yMax + 50) / 500);
+  const k = w / 500; // px per court unit
+  const x = d3.scaleLinear([-250, 250], [0, w]);
+  const y = d3.scaleLinear([-50, yMax], [h, 0]);
+  const color = d3.scaleSequential(d3.interpolateRdYlBu).domain([0.25, 0.65]);
+  const outline = d3.line().x(p => x(p[0])).y(p => y(p[1]));
+  const polygons = zonePolygons();
+  const lines = ZONES.filter(z => z.id !== "aboveBreak3" && z.id !== "backcourt")
+    .map(z => polygons[z.id].map(ring => outline(ring) + "Z").join(""));
+
+  const totals = mergeAggregates(aggregates).teams;
+  const {bins} = mergeTeamCourts(aggregates.map(a => a.teamCourts));
+  const teams = Object.keys(totals).sort(d3.ascending).map(team => ({
+    team,
+    attempts: totals[team].attempts,
+    pct: totals[team].makes / totals[team].attempts,
+    bins: Object.entries(bins[team] ?? {}).map(([id, [attempts, makes]]) => {
+      const [cx, cy] = teamHexbin.centre(id);
+      return {x: cx * k, y: cy * k, attempts, makes};
+    })
+  }));
+  const maxShare = d3.max(teams, t => d3.max(t.bins, b => b.attempts / t.attempts)) || 1;
+  const r = d3.scaleSqrt([0, maxShare], [0, teamHexbin.radius() * k]);
+
+  const grid = setPageThemeVars(document.createElement("div"));
+  grid.style.display = "grid";
+  grid.style.gridTemplateColumns = `repeat(auto-fill, minmax(${w}px, 1fr))`;
+  grid.style.gap = ".75rem";
+  grid.style.background = "var(--viz-background)";
+  grid.style.color = "var(--viz-text)";
+  grid.style.padding = ".75rem";
+  for (const t of teams) {
+    const cell = document.createElement(href ? "a" : "div");
+    if (href) cell.href = href(t.team);
+    cell.style.color = "inherit";
+    cell.style.textDecoration = "none";
+    cell.style.fontSize = "12px";
+    const svg = d3.create("svg")
+      .attr("width", w)
+      .attr("height", h)
+      .attr("viewBox", [0, 0, w, h])
+      .style("display", "block");
+    svg.append("g")
+      .selectAll("path").data(lines).join("path")
+      .attr("d", d => d)
+      .attr("fill", "none")
+      .style("stroke", "var(--viz-rule)");
+    svg.append("g")
+      .selectAll("path").data(t.bins).join("path")
+      .attr("transform", b => `translate(${b.x},${b.y})`)
+      .attr("d", b => teamHexbin.hexagon(r(b.attempts / t.attempts)))
+      .attr("fill", b => color(b.makes / b.attempts))
+      .append("title").text(b => `${b.attempts} FGA · ${d3.format(".0%")(b.makes / b.attempts)} FG`);
+    const name = document.createElement("div");
+    name.textContent = t.team;
+    name.style.fontWeight = "600";
+    const stats = document.createElement("div");
+    stats.textContent = `${t.attempts.toLocaleString()} FGA · ${fmtRate(t.pct)} FG`;
+    stats.style.color = "var(--viz-muted)";
+    cell.appendChild(svg.node());
+    cell.appendChild(name);
+    cell.appendChild(stats);
+    grid.appendChild(cell);
+  }
+  return grid;
+}
@@ -0,0 +1,67 @@
+import * as d3 from "d3";
+
+// Explorer colors for light and dark pages. The explorer sets them on its
+// root as --viz-* custom properties, and the profile and team components on
+// theirs; the HTML parts (and picker.js, table.js) style with var(--viz-…),
+// while SVG that gets exported uses the values.
+export const THEMES = {
+  light: {
+    background: "#ffffff",
+    surface: "#f3f4f6", // stat cards, picker group headers
+    text: "#1b1e23",
+    muted: "#5f6368",
+    border: "#dcdcdc", // table rows, card borders
+    rule: "#b5b5b5", // table headers, picker list
+    lines: "#8a8a8a", // court lines and chart axes
+    selected: "#d3e4f7", // picked zones and chips
+    emphasis: "#111111", // outlines of picked zones and the keyboard focus
+    empty: "#e4e4e4", // zones without shots
+    link: "#1f6fc5",
+    tooltip: "rgba(255,255,255,0.96)",
+    notice: "#9a6400"
+  },
+  dark: {
+    background: "#1a1a1a",
+    surface: "#242424",
+    text: "#e0e0e0",
+    muted: "#aaa",
+    border: "#333",
+    rule: "#555",
+    lines: "#666",
+    selected: "#2d4a6b",
+    emphasis: "#fff",
+    empty: "#333",
+    link: "#6ba3e8",
+    tooltip: "rgba(0,0,0,0.9)",
+    notice: "#e0b060"
+  }
+};
+
+// "light" or "dark" for the page: from the Framework theme's background when
+// the page has one, else from the OS preference
+export function pageTheme() {
+  const background = d3.color(getComputedStyle(document.documentElement).getPropertyValue("--theme-background").trim());
+  if (background) return d3.hsl(background).l < 0.5 ? "dark" : "light";
+  return window.matchMedia?.("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+}
+
+// Set a theme's colors as --viz-* custom properties on an element
+export function setThemeVars(el, theme) {
+  for (const [key, value] of Object.entries(theme)) el.style.setProperty(`--viz-${key}`, value);
+}
+
+// The page theme's --viz-* properties on an element outside the explorer
+export function setPageThemeVars(el) {
+  setThemeVars(el, THEMES[pageTheme()]);
+  return el;
+}
+
+// Call onChange(pageTheme()) whenever the OS color scheme flips (Framework's
+// auto themes follow it); returns a function that stops watching
+export function watchPageTheme(onChange) {
+  const query = window.matchMedia?.("(prefers-color-scheme: dark)");
+  if (!query) return () => {};
+  const listener = () => onChange(pageTheme());
+  query.addEventListener("change", listener);
+  return () => query.removeEventListener("change", listener);
+}
@@ -0,0 +1,189 @@
+import * as d3 from "d3";
+import {createButton, createSelect, setSelectValue} from "./controls.js";
+
+export const TIMELINE_MODES = ["Shots per day", "Rolling FG% (7 days)"];
+
+// Game-date timeline for the explorer: shots per day or rolling FG% for a
+// selection, with a brush for the date range and week-by-week playback.
+// `dates` (epoch ms, NaN when unknown) and `made` are shot index columns (see
+// shotindex.js), and draw() takes shot ids into them. onChange(gesture) asks
+// for a redraw after the range or the mode changed; `gesture` is the same
+// object for every step of one brush drag (see the explorer's syncUrl) and
+// null otherwise.
+export function createTimeline({dates, made, width, onChange}) {
+  // [start, end) of the brushed dates, or null for the whole season
+  let extent = null;
+  let mode = TIMELINE_MODES[0];
+  let playing = null;
+  let gesture = null;
+
+  const node = document.createElement("div");
+  node.style.display = "grid";
+  node.style.gap = ".75rem";
+  const bar = document.createElement("div");
+  bar.style.display = "flex";
+  bar.style.flexWrap = "wrap";
+  bar.style.gap = ".75rem";
+  bar.style.alignItems = "end";
+  const playButton = createButton("▶ Play", () => playing ? stop() : play());
+  const modeSelect = createSelect("Timeline", TIMELINE_MODES, mode, v => { mode = v; onChange(null); });
+  const dateLabel = document.createElement("span");
+  bar.appendChild(playButton);
+  bar.appendChild(modeSelect);
+  bar.appendChild(dateLabel);
+
+  const TH = 110;
+  const TM = {top: 10, right: 20, bottom: 26, left: 40};
+  const TIH = TH - TM.top - TM.bottom;
+  const svg = d3.create("svg")
+    .attr("width", width)
+    .attr("height", TH)
+    .style("display", "block")
+    .style("background", "var(--viz-background)");
+  const tg = svg.append("g").attr("transform", `translate(${TM.left},${TM.top})`);
+  const seasonDays = d3.extent(dates).map(t => t === undefined ? t : d3.timeDay.floor(new Date(t)));
+  const tx = d3.scaleTime()
+    .domain(seasonDays[0] ? [seasonDays[0], d3.timeDay.offset(seasonDays[1], 1)] : [new Date(2003, 9, 28), new Date(2004, 3, 15)])
+    .range([0, width - TM.left - TM.right]);
+  // Each shot's day as a position in timelineDays (-1 without a date),
+  // worked out once per distinct date
+  const timelineDays = d3.timeDay.range(...tx.domain());
+  const dayPosition = new Map(timelineDays.map((day, k) => [+day, k]));
+  const dayOfDate = new Map();
+  const shotDay = Int32Array.from(dates, t => {
+    if (!Number.isFinite(t)) return -1;
+    if (!dayOfDate.has(t)) dayOfDate.set(t, dayPosition.get(+d3.timeDay.floor(new Date(t))) ?? -1);
+    return dayOfDate.get(t);
+  });
+  const tMarks = tg.append("g");
+  const tLine = tg.append("path").attr("fill", "none").attr("stroke", "#f5a623").attr("stroke-width", 1.5);
+  const tAxX = tg.append("g").attr("transform", `translate(0,${TIH})`);
+  const tAxY = tg.append("g");
+  const brushG = tg.append("g");
+  node.appendChild(bar);
+  node.appendChild(svg.node());
+
+  const brush = d3.brushX()
+    .extent([[0, 0], [tx.range()[1], TIH]])
+    .on("start", ({sourceEvent}) => {
+      if (sourceEvent) gesture = {};
+    })
+    .on("brush end", ({selection, sourceEvent}) => {
+      if (!sourceEvent) return;
+      stop();
+      if (selection) {
+        // Snap to whole days; the end is exclusive
+        const [t0, t1] = selection.map(tx.invert).map(d3.timeDay.round);
+        extent = [t0, t1 > t0 ? t1 : d3.timeDay.offset(t0, 1)];
+      } else {
+        extent = null;
+      }
+      onChange(gesture);
+    });
+  brushG.call(brush);
+
+  // Set the range and move the brush to it, without calling onChange
+  function setExtent(next) {
+    extent = next;
+    brushG.call(brush.move, extent && extent.map(tx));
+  }
+
+  function setMode(next) {
+    mode = next;
+    setSelectValue(modeSelect, mode);
+  }
+
+  // Slide a one-week window across the season, resuming after the current range
+  function play() {
+    const [first, last] = tx.domain();
+      let start = extent && extent[1] < last ? d3.timeWeek.floor(extent[1]) : d3.timeWeek.floor(first);
+    playButton.textContent = "❚❚ Pause";
+    const step = () => {
+      if (start >= last) return stop();
+      setExtent([start, d3.timeWeek.offset(start, 1)]);
+      onChange(null);
+      start = d3.timeWeek.offset(start, 1);
+    };
+    // Playing before the first step, so that it replaces the history entry too
+    playing = d3.interval(step, 900);
+    step();
+  }
+
+  function stop() {
+    if (playing) playing.stop();
+    playing = null;
+    playButton.textContent = "▶ Play";
+  }
+
+  function draw(shots) {
+    const attempts = new Int32Array(timelineDays.length);
+    const makes = new Int32Array(timelineDays.length);
+    for (const i of shots) {
+      const k = shotDay[i];
+      if (k < 0) continue;
+      attempts[k]++;
+      makes[k] += made[i];
+    }
+    const days = timelineDays.map((day, k) => ({day, attempts: attempts[k], makes: makes[k]}));
+    const rolling = mode !== TIMELINE_MODES[0];
+    let ty;
+    if (rolling) {
+      // FG% over the trailing 7 days, skipping days with nothing in the window
+      for (const [i, d] of days.entries()) {
+        const win = days.slice(Math.max(0, i - 6), i + 1);
+        const att = d3.sum(win, w => w.attempts);
+        d.pct = att ? d3.sum(win, w => w.makes) / att : NaN;
+      }
+      ty = d3.scaleLinear().domain([0, 1]).range([TIH, 0]);
+      tLine.attr("d", d3.line().defined(d => Number.isFinite(d.pct)).x(d => tx(d.day)).y(d => ty(d.pct))(days));
+    } else {
+      ty = d3.scaleLinear().domain([0, d3.max(days, d => d.attempts) || 1]).range([TIH, 0]).nice();
+      tLine.attr("d", null);
+    }
+    tMarks.selectAll("rect")
+      .data(rolling ? [] : days)
+      .join("rect")
+      .attr("x", d => tx(d.day))
+      .attr("y", d => ty(d.attempts))
+      .attr("width", d => Math.max(1, tx(d3.timeDay.offset(d.day, 1)) - tx(d.day) - 1))
+      .attr("height", d => TIH - ty(d.attempts))
+      .attr("fill", "#4a90e2")
+      .attr("opacity", 0.7);
+
+    tAxX.call(d3.axisBottom(tx).ticks(d3.timeMonth).tickFormat(d3.timeFormat("%b %Y")))
+      .selectAll("text").style("fill", "var(--viz-text)");
+    tAxY.call(d3.axisLeft(ty).ticks(3).tickFormat(rolling ? d3.format(".0%") : d3.format("~s")))
+      .selectAll("text").style("fill", "var(--viz-text)");
+    tg.selectAll(".domain, .tick line").style("stroke", "var(--viz-lines)");
+
+    const fmt = d3.timeFormat("%b %-d, %Y");
+    dateLabel.textContent = extent
+      ? `${fmt(extent[0])} – ${fmt(d3.timeDay.offset(extent[1], -1))}`
+      : "Whole season";
+  }
+
+  // New x range and brush extent for the full width, with the brushed range
+  // moved along (the brush ignores moves without a source event). The caller
+  // redraws.
+  function resize(nextWidth) {
+    const TW = nextWidth - TM.left - TM.right;
+    svg.attr("width", nextWidth);
+    tx.range([0, TW]);
+    brush.extent([[0, 0], [TW, TIH]]);
+    brushG.call(brush).call(brush.move, extent && extent.map(tx));
+  }
+
+  return {
+    node,
+    draw,
+    resize,
+    extent: () => extent,
+    setExtent,
+    mode: () => mode,
+    setMode,
+    playing: () => playing != null,
+    stop,
+    // The drawn range as shown under the play button
+    label: () => dateLabel.textContent
+  };
+}
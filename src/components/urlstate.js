@@ -0,0 +1,97 @@
+import * as d3 from "d3";
+
+// Query-string (de)serialization for the explorer state. Each field maps a
+// state key to a URL parameter; values equal to the defaults are left out so
+// links stay short.
+const FIELDS = [
+  {key: "players", param: "player", type: "list", noun: "player"},
+  {key: "teams", param: "team", type: "list", noun: "team"},
+  {key: "seasons", param: "season", type: "list", noun: "season"},
+  {key: "result", param: "result", type: "value"},
+  {key: "dist", param: "dist", type: "value"},
+  {key: "brush", param: "brush", type: "range"},
+  {key: "view", param: "view", type: "value"},
+  {key: "hexColor", param: "hex", type: "value"},
+  {key: "zoneColor", param: "zcolor", type: "value"},
+  {key: "zones", param: "zone", type: "list", noun: "zone"},
+  {key: "region", param: "region", type: "polygon"},
+  {key: "mode", param: "mode", type: "value"},
+  {key: "playersB", param: "playerB", type: "list", noun: "player"},
+  {key: "teamsB", param: "teamB", type: "list", noun: "team"},
+  {key: "seasonsB", param: "seasonB", type: "list", noun: "season"},
+  {key: "dates", param: "dates", type: "dates"},
+  {key: "quarters", param: "q", type: "ints", noun: "quarter"},
+  {key: "clock", param: "clock", type: "range"},
+  {key: "timeline", param: "timeline", type: "value"},
+  {key: "palette", param: "palette", type: "value"},
+  {key: "zoom", param: "zoom", type: "zoom"}
+];
+
+const fmtDay = d3.timeFormat("%Y-%m-%d");
+const parseDay = d3.timeParse("%Y-%m-%d");
+const round = (v, digits) => +v.toFixed(digits);
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// State -> "?player=…&result=Made…" (empty string when everything is default)
+export function encodeState(state, defaults) {
+  const params = new URLSearchParams();
+  for (const {key, param, type} of FIELDS) {
+    const value = state[key];
+    if (value == null || same(value, defaults[key])) continue;
+    if (type === "list" || type === "ints") for (const v of value) params.append(param, v);
+    else if (type === "range") params.set(param, value.map(v => round(v, 1)).join(","));
+    // Dates are [start, end) internally; the URL shows the last day inclusive
+    else if (type === "dates") params.set(param, `${fmtDay(value[0])},${fmtDay(d3.timeDay.offset(value[1], -1))}`);
+    else if (type === "zoom") params.set(param, [round(value.k, 3), round(value.x, 1), round(value.y, 1)].join(","));
+    // Polygons are flattened: x1,y1,x2,y2,…
+    else if (type === "polygon") params.set(param, value.flat().map(v => round(v, 0)).join(","));
+    else params.set(param, value);
+  }
+  // Commas are legal in a query string; keep them readable
+  const search = params.toString().replace(/%2C/g, ",");
+  return search ? `?${search}` : "";
+}
+
+// Query string -> partial state. `choices` lists the valid values per key;
+// anything unknown or malformed is skipped and reported in `unknown` rather
+// than thrown, and a list with no valid entries falls back to its default.
+export function decodeState(search, choices) {
+  const params = new URLSearchParams(search);
+  const state = {};
+  const unknown = [];
+  for (const {key, param, type, noun} of FIELDS) {
+    if (!params.has(param)) continue;
+    const raw = params.get(param);
+    if (type === "list" || type === "ints") {
+      const values = params.getAll(param);
+      const allowed = new Set(choices[key].map(String));
+      const valid = values.filter(v => allowed.has(v));
+      for (const v of values) if (!valid.includes(v)) unknown.push(`${noun} "${v}"`);
+      if (valid.length) state[key] = type === "ints" ? valid.map(Number) : valid;
+    } else if (type === "range") {
+      const nums = raw.split(",").map(Number);
+      if (nums.length === 2 && nums.every(Number.isFinite)) state[key] = nums.sort(d3.ascending);
+      else unknown.push(`${param} "${raw}"`);
+    } else if (type === "dates") {
+      const days = raw.split(",").map(parseDay);
+      if (days.length === 2 && days.every(Boolean)) state[key] = [days[0], d3.timeDay.offset(days[1], 1)];
+      else unknown.push(`${param} "${raw}"`);
+    } else if (type === "polygon") {
+      const nums = raw.split(",").map(Number);
+      if (nums.length >= 6 && nums.length % 2 === 0 && nums.every(Number.isFinite)) state[key] = d3.range(0, nums.length, 2).map(i => [nums[i], nums[i + 1]]);
+      else unknown.push(`${param} "${raw}"`);
+    } else if (type === "zoom") {
+      const [k, x, y] = raw.split(",").map(Number);
+      if ([k, x, y].every(Number.isFinite) && k > 0) state[key] = {k, x, y};
+      else unknown.push(`${param} "${raw}"`);
+    } else if (choices[key].includes(raw)) {
+      state[key] = raw;
+    } else {
+      unknown.push(`${param} "${raw}"`);
+    }
+  }
+  return {state, unknown};
+}
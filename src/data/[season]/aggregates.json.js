@@ -0,0 +1,13 @@
+import {parseArgs} from "node:util";
+import {aggregate, profileCounts, teamCourts} from "../../components/stats.js";
+import {readSeason} from "../seasons.js";
+
+// League, per-zone, per-team and per-player counts for one season, plus the
+// schema issues found while reading it. The explorer adds these up for the
+// selected seasons instead of recomputing baselines in the browser, the
+// player pages compare against the league's profile counts, and the team
+// pages draw each team's zones and hexagons from its teamCourts.
+const {values: {season}} = parseArgs({options: {season: {type: "string"}}});
+const {season: label, rows, issues} = await readSeason(season);
+
+process.stdout.write(JSON.stringify({season: label, issues, ...aggregate(rows), profile: profileCounts(rows), teamCourts: teamCourts(rows)}));
@@ -0,0 +1,47 @@
+import {parseArgs} from "node:util";
+import * as d3 from "d3";
+import {Dictionary, Int8, Int16, Int32, Table, Utf8, makeVector, tableToIPC, vectorFromArray} from "apache-arrow";
+import {SOURCE_PREFIX} from "../../components/schema.js";
+import {readSeason} from "../seasons.js";
+
+// One season's shots as an Arrow IPC file with typed columns (see
+// TABLE_COLUMNS, MATCHUP_COLUMNS and SOURCE_PREFIX in components/schema.js).
+// Strings are dictionary-encoded; unknown quarters and clocks are -1, unknown
+// distances NaN.
+const {values: {season}} = parseArgs({options: {season: {type: "string"}}});
+const {rows, headers} = await readSeason(season);
+
+const fmtDay = d3.timeFormat("%Y-%m-%d");
+// The narrowest index type that fits the distinct values keeps the source
+// columns, mostly short repeated strings, small
+const strings = (values) => {
+  const distinct = new Set(values).size;
+  const index = distinct <= 0x7f ? new Int8() : distinct <= 0x7fff ? new Int16() : new Int32();
+  return vectorFromArray(values, new Dictionary(new Utf8(), index));
+};
+
+const table = new Table({
+  x: makeVector(Float32Array.from(rows, d => d.__x)),
+  y: makeVector(Float32Array.from(rows, d => d.__y)),
+  made: makeVector(Uint8Array.from(rows, d => d.__made)),
+  player: strings(rows.map(d => d.__player)),
+  team: strings(rows.map(d => d.__team)),
+  distance: makeVector(Float32Array.from(rows, d => d.__dist ?? NaN)),
+  date: strings(rows.map(d => d.__date ? fmtDay(d.__date) : null)),
+  quarter: vectorFromArray(rows.map(d => d.__q ?? -1), new Int8()),
+  clock: vectorFromArray(rows.map(d => d.__clock ?? -1), new Int16()),
+  zone: strings(rows.map(d => d.__zone)),
+  value: makeVector(Uint8Array.from(rows, d => d.__value)),
+  // Matchups, when the CSV has HOME_TEAM/AWAY_TEAM/GAME_ID
+  ...rows.some(d => d.__opponent != null) && {
+    opponent: strings(rows.map(d => d.__opponent)),
+    home: vectorFromArray(rows.map(d => d.__atHome == null ? -1 : +d.__atHome), new Int8())
+  },
+  ...rows.some(d => d.__game != null) && {
+    game: strings(rows.map(d => d.__game))
+  },
+  // Every column of the CSV, values as read, for exports
+  ...Object.fromEntries(headers.map(h => [SOURCE_PREFIX + h, strings(rows.map(d => d[h] ?? null))]))
+});
+
+process.stdout.write(tableToIPC(table, "file"));
@@ -0,0 +1,38 @@
+import {readFile} from "node:fs/promises";
+import * as d3 from "d3";
+import {adaptSeason} from "../components/schema.js";
+import {playerSlugs, teamSlugs} from "../components/slugs.js";
+
+// Raw shot CSVs by season id, the [season] in data/<id>/shots.arrow and
+// data/<id>/aggregates.json. To add a season, put its CSV next to this file,
+// list it here and add its artifacts to components/artifacts.js. `columns` is
+// only needed for headers the schema adapter doesn't recognize.
+export const SEASONS = {
+  2004: {label: "2003–04", file: "NBA_2004_Shots.csv"}
+};
+
+// Parse and normalize one season (shared by the data loaders, which run in
+// Node at build time). Schema issues come back in `issues`, which the
+// aggregates artifact carries to the explorer; nothing is printed.
+export async function readSeason(id) {
+  const entry = SEASONS[id];
+  if (!entry) throw new Error(`Unknown season "${id}" (known: ${Object.keys(SEASONS).join(", ")})`);
+  const text = await readFile(new URL(entry.file, import.meta.url), "utf8");
+  return adaptSeason(d3.csvParse(text), {season: entry.label, columns: entry.columns});
+}
+
+// /players/<slug> and /teams/<slug> for every player and team in any season:
+// the config's dynamicPaths, so the build generates a page for each. Names
+// that slugify alike get numbered slugs (see slugs.js) rather than one page.
+export async function* pagePaths() {
+  const players = new Set();
+  const teams = new Set();
+  for (const id of Object.keys(SEASONS)) {
+    for (const d of (await readSeason(id)).rows) {
+      players.add(d.__player);
+      teams.add(d.__team);
+    }
+  }
+  for (const slug of playerSlugs(players).values()) yield `/players/${slug}`;
+  for (const slug of teamSlugs(teams).values()) yield `/teams/${slug}`;
+}
@@ -0,0 +1,307 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+import {JSDOM} from "jsdom";
+
+// The explorer runs in jsdom. Canvases get a no-op context, and the theme
+// query and ResizeObserver are fakes that record what's listening.
+const dom = new JSDOM("<!doctype html><body></body>", {url: "http://localhost/explorer"});
+const {window} = dom;
+for (const key of ["window", "document", "navigator", "location", "history", "Node", "Element", "HTMLElement", "SVGElement",
+  "Event", "CustomEvent", "MouseEvent", "KeyboardEvent", "getComputedStyle", "localStorage"]) {
+  globalThis[key] = window[key];
+}
+const context = new Proxy({}, {get: () => () => ({width: 0})});
+window.HTMLCanvasElement.prototype.getContext = () => context;
+globalThis.requestAnimationFrame = window.requestAnimationFrame = f => setTimeout(f, 0);
+
+const themeListeners = new Set();
+window.matchMedia = () => ({
+  matches: false,
+  addEventListener: (type, listener) => themeListeners.add(listener),
+  removeEventListener: (type, listener) => themeListeners.delete(listener)
+});
+
+const observers = [];
+globalThis.ResizeObserver = class {
+  constructor() {
+    this.observed = [];
+    this.disconnected = false;
+    observers.push(this);
+  }
+  observe(el) { this.observed.push(el); }
+  disconnect() { this.disconnected = true; }
+};
+
+const {default: InteractiveViz} = await import("../src/components/InteractiveViz.js");
+
+// 120 shots for three players, along a line from the rim out to 29 ft: every
+// other shot is made, and shot i is i % 30 ft out
+const players = [["Tim Duncan", "San Antonio Spurs"], ["Tony Parker", "San Antonio Spurs"], ["Ben Wallace", "Detroit Pistons"]];
+const data = Array.from({length: 120}, (_, i) => {
+  const [player, team] = players[i % 3];
+  const dist = i % 30;
+  return {
+    LOC_X: "0", LOC_Y: String(dist * 10), SHOT_MADE: i % 2 ? "FALSE" : "TRUE",
+    PLAYER_NAME: player, TEAM_NAME: team, SHOT_DISTANCE: String(dist),
+    GAME_DATE: `0${1 + i % 4}-${String(1 + i % 28).padStart(2, "0")}-2004`,
+    QUARTER: String(1 + i % 4), MINS_LEFT: String(i % 12), SECS_LEFT: String(i % 60)
+  };
+});
+const columns = {
+  x: "LOC_X", y: "LOC_Y", made: "SHOT_MADE", player: "PLAYER_NAME", team: "TEAM_NAME", distance: "SHOT_DISTANCE",
+  date: "GAME_DATE", quarter: "QUARTER", minsLeft: "MINS_LEFT", secsLeft: "SECS_LEFT"
+};
+
+function explorer(options) {
+  const node = InteractiveViz({data, columns, theme: "auto", ...options});
+  document.body.append(node);
+  return node;
+}
+
+// Resolves with the next "input" event's value
+const nextInput = node => new Promise(resolve => node.addEventListener("input", () => resolve(node.value), {once: true}));
+
+// jsdom lays nothing out, so event coordinates are the brush's own
+const mouse = (target, type, clientX) => target.dispatchEvent(new window.MouseEvent(type, {
+  bubbles: true, cancelable: true, view: window, clientX, clientY: 10, button: 0
+}));
+
+// Positions in `data` of the shots that pass `keep`, the ids `value` gives
+const idsWhere = keep => data.flatMap((d, i) => keep(d) ? [i] : []);
+
+test("setFilters narrows value and getFilteredShots", () => {
+  const node = explorer({urlState: false});
+  assert.equal(node.value.count, 120);
+
+  let inputs = 0;
+  node.addEventListener("input", () => inputs++);
+  node.setFilters({result: "Made", players: new Set(["Tim Duncan"])});
+  assert.equal(inputs, 1);
+  const {count, ids} = node.value;
+  assert.equal(count, 20);
+  assert.deepEqual(Array.from(ids), idsWhere(d => d.SHOT_MADE === "TRUE" && d.PLAYER_NAME === "Tim Duncan"));
+  // Reading value again doesn't copy anything
+  assert.equal(node.value, node.value);
+
+  // getFilteredShots has the same shots as rows, in the same order
+  const shots = node.getFilteredShots();
+  assert.ok(shots.every(d => d.__made === 1 && d.__player === "Tim Duncan"));
+  assert.deepEqual(shots.map(d => d.LOC_Y), Array.from(ids, i => data[i].LOC_Y));
+  assert.notEqual(node.getFilteredShots(), shots);
+  assert.equal(node.getState().result, "Made");
+
+  // Court B keeps its own players but shares the other filters
+  const shotsB = node.getFilteredShots("B");
+  assert.equal(shotsB.length, 60);
+  assert.ok(shotsB.every(d => d.__made === 1));
+
+  // A bad value throws before anything changes
+  assert.throws(() => node.setFilters({result: "All", players: ["Nobody"]}), /Unknown players "Nobody"/);
+  assert.throws(() => node.setFilters({brush: [10, 5]}), /brush needs null or \[min, max\] feet/);
+  assert.throws(() => node.setFilters({nope: 1}), /Unknown filter "nope"/);
+  assert.equal(node.getState().result, "Made");
+  assert.equal(node.value.count, 20);
+  assert.equal(inputs, 1);
+
+  // Tim Duncan makes every sixth shot, four of them from 6 ft
+  node.setFilters({brush: [5, 9.5]});
+  assert.equal(node.value.count, 4);
+  assert.ok(node.getFilteredShots().every(d => d.__dist === 6));
+  node.destroy();
+});
+
+test("dragging the distance brush filters the shots", async () => {
+  const node = explorer({urlState: false});
+  const overlay = node.querySelector(".overlay");
+  const width = +overlay.getAttribute("width");
+  const x0 = width * 0.25;
+  const x1 = width * 0.5;
+  const next = nextInput(node);
+  mouse(overlay, "mousedown", x0);
+  mouse(window, "mousemove", x1);
+  mouse(window, "mouseup", x1);
+  const value = await next;
+
+  const [lo, hi] = node.getState().brush;
+  assert.ok(lo > 0 && hi > lo);
+  assert.ok(value.count > 0 && value.count < 120);
+  assert.deepEqual(Array.from(value.ids), idsWhere(d => +d.SHOT_DISTANCE >= lo && +d.SHOT_DISTANCE <= hi));
+  const shots = node.getFilteredShots();
+  assert.equal(shots.length, value.count);
+  assert.ok(shots.every(d => d.__dist >= lo && d.__dist <= hi));
+  node.destroy();
+});
+
+test("the keyboard focuses every shot, the first one included", () => {
+  const node = explorer({urlState: false});
+  const court = node.querySelector("svg[aria-roledescription='shot chart']");
+  const focusMark = court.querySelector("path[vector-effect][stroke-width='2']");
+  const key = k => court.dispatchEvent(new window.KeyboardEvent("keydown", {key: k, bubbles: true, cancelable: true}));
+
+  key("n");
+  assert.equal(node.getFilteredShots()[0].__player, "Tim Duncan");
+  assert.equal(focusMark.getAttribute("display"), null);
+  assert.match(node.querySelector("[aria-live]").textContent, /^1 of 120: Tim Duncan/);
+  key("Escape");
+  assert.equal(focusMark.getAttribute("display"), "none");
+  node.destroy();
+});
+
+test("each control change is a history entry, and so is each brush drag", () => {
+  history.replaceState(null, "", "/explorer");
+  const node = explorer();
+  const entries = history.length;
+
+  // Changes in quick succession can be stepped back through one by one
+  node.setFilters({result: "Made"});
+  node.setFilters({dist: "0–10"});
+  assert.equal(history.length, entries + 2);
+
+  // A drag updates a single entry as it goes
+  const overlay = node.querySelector(".overlay");
+  const width = +overlay.getAttribute("width");
+  mouse(overlay, "mousedown", width * 0.1);
+  for (const k of [0.2, 0.3, 0.4]) mouse(window, "mousemove", width * k);
+  mouse(window, "mouseup", width * 0.4);
+  assert.equal(history.length, entries + 3);
+  assert.match(location.search, /brush=/);
+
+  // The next drag is a new one
+  mouse(overlay, "mousedown", width * 0.6);
+  mouse(window, "mousemove", width * 0.7);
+  mouse(window, "mouseup", width * 0.7);
+  assert.equal(history.length, entries + 4);
+
+  node.destroy();
+  history.replaceState(null, "", "/explorer");
+});
+
+test("playback steps through the season a week at a time", async () => {
+  // d3 swallows the click right after a drag, the last test's included
+  await new Promise(resolve => setTimeout(resolve, 0));
+  history.replaceState(null, "", "/explorer");
+  const node = explorer();
+  const entries = history.length;
+  const play = Array.from(node.querySelectorAll("button")).find(b => b.textContent === "▶ Play");
+
+  // The first week runs Sunday to Sunday around January 1; only shots 0, 28,
+  // 56, 84 and 112 are from January 1–3
+  play.click();
+  const [start, end] = node.getState().dates;
+  assert.deepEqual([start, end].map(d => d.toDateString()), ["Sun Dec 28 2003", "Sun Jan 04 2004"]);
+  assert.deepEqual(Array.from(node.value.ids), [0, 28, 56, 84, 112]);
+  assert.equal(play.textContent, "❚❚ Pause");
+  // Playback updates the entry it started from
+  assert.equal(history.length, entries);
+
+  play.click();
+  assert.equal(play.textContent, "▶ Play");
+  node.destroy();
+  history.replaceState(null, "", "/explorer");
+});
+
+test("the zone table's names toggle zones and keep the focus", () => {
+  const node = explorer({urlState: false});
+  const table = Array.from(node.querySelectorAll("table")).find(t => t.querySelector("th")?.textContent === "Zone");
+  const button = table.querySelector("tbody button");
+  const name = button.textContent;
+  button.focus();
+  button.click();
+
+  const zone = node.getState().zones;
+  assert.equal(zone.length, 1);
+  assert.ok(node.getFilteredShots().every(d => d.__zone === zone[0]));
+  // The table was redrawn, with the focus on the same zone's new button
+  assert.notEqual(table.querySelector("tbody button"), button);
+  assert.equal(document.activeElement.textContent, name);
+  assert.equal(document.activeElement.getAttribute("aria-pressed"), "true");
+
+  document.activeElement.click();
+  assert.deepEqual(node.getState().zones, []);
+  node.destroy();
+});
+
+test("clicking a minute of the heat strip filters to it, and clicking again clears", () => {
+  const node = explorer({urlState: false});
+  const strip = Array.from(node.querySelectorAll("svg")).find(svg => svg.querySelectorAll("rect").length === 48);
+  const preset = Array.from(node.querySelectorAll("label")).find(l => l.textContent.startsWith("Clock Preset")).querySelector("select");
+  const cell = strip.querySelectorAll("rect")[36];
+
+  // The first minute of Q4 is 12:00 to 11:01 left
+  cell.dispatchEvent(new window.MouseEvent("click", {bubbles: true}));
+  assert.deepEqual(node.getState().quarters, [4]);
+  assert.deepEqual(node.getState().clock, [661, 720]);
+  assert.deepEqual(Array.from(node.value.ids), idsWhere(d => d.QUARTER === "4" && +d.MINS_LEFT * 60 + +d.SECS_LEFT >= 661));
+  assert.equal(preset.value, "Custom");
+  assert.notEqual(cell.getAttribute("stroke"), "none");
+
+  cell.dispatchEvent(new window.MouseEvent("click", {bubbles: true}));
+  assert.equal(preset.value, "All game");
+  assert.deepEqual(node.getState().clock, [0, 720]);
+  assert.equal(node.value.count, 120);
+  assert.equal(cell.getAttribute("stroke"), "none");
+  node.destroy();
+});
+
+test("regions are saved by name, reapplied and deleted from the region panel", () => {
+  localStorage.clear();
+  const node = explorer({urlState: false});
+  const square = [[-50, -50], [50, -50], [50, 100], [-50, 100]];
+  node.setFilters({region: square});
+  const input = node.querySelector("input[aria-label='Region name']");
+  const panel = input.parentElement.parentElement;
+  const button = label => Array.from(panel.querySelectorAll("button")).find(b => b.textContent === label);
+  assert.equal(panel.firstChild.textContent, "Custom region");
+
+  input.value = "Restricted area";
+  button("Save").click();
+  assert.equal(panel.firstChild.textContent, "Restricted area");
+  assert.equal(button("Restricted area").getAttribute("aria-pressed"), "true");
+
+  // Clearing keeps it saved, and applying it brings the region back
+  button("Clear").click();
+  assert.equal(node.getState().region, null);
+  assert.equal(node.value.count, 120);
+  button("Restricted area").click();
+  assert.deepEqual(node.getState().region, square);
+  assert.ok(node.value.count < 120);
+
+  // Deleting it leaves the region drawn, without its name
+  panel.querySelector("[aria-label='Delete Restricted area']").click();
+  assert.equal(panel.firstChild.textContent, "Custom region");
+  assert.deepEqual(node.getState().region, square);
+  assert.equal(button("Restricted area"), undefined);
+  node.destroy();
+  localStorage.clear();
+});
+
+test("destroy stops listening to the page and removes the explorer", () => {
+  const observed = observers.length;
+  const themed = themeListeners.size;
+  const node = explorer();
+  const observer = observers[observed];
+  assert.equal(observers.length, observed + 1);
+  assert.ok(observer.observed.length === 1 && node.contains(observer.observed[0]));
+  assert.equal(themeListeners.size, themed + 1);
+
+  // Going back to a link restores its state while the explorer is live
+  history.pushState(null, "", "?result=Made");
+  window.dispatchEvent(new window.PopStateEvent("popstate"));
+  assert.equal(node.getState().result, "Made");
+
+  node.destroy();
+  assert.equal(node.isConnected, false);
+  assert.equal(observer.disconnected, true);
+  assert.equal(themeListeners.size, themed);
+
+  // …and not after
+  let events = 0;
+  node.addEventListener("statechange", () => events++);
+  history.pushState(null, "", "?result=Missed");
+  window.dispatchEvent(new window.PopStateEvent("popstate"));
+  assert.equal(node.getState().result, "Made");
+  assert.equal(events, 0);
+
+  node.destroy();
+  history.replaceState(null, "", "/explorer");
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+import {fitExpected, expectedSummary} from "../src/components/expected.js";
+
+// Six 15-ft mid-range shots (four made) and two missed 25-ft threes: the
+// league rate is 4/8, and with the default prior of 20 the zones shrink to
+// (4 + 20 × 0.5) / 26 and (0 + 20 × 0.5) / 22
+const shot = (made, zone, dist, value) => ({__made: made, __zone: zone, __dist: dist, __value: value});
+const shots = [
+  ...[1, 1, 1, 1, 0, 0].map(made => shot(made, "midCenter", 15.4, 2)),
+  ...[0, 0].map(made => shot(made, "aboveBreak3", 25, 3))
+];
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} ≠ ${expected}`);
+
+test("fitExpected gives the same model for the same shots, in any order", () => {
+  const a = fitExpected(shots);
+  const b = fitExpected(shots.slice().reverse());
+  assert.equal(a.league, b.league);
+  assert.deepEqual(Array.from(a.zones).sort(), Array.from(b.zones).sort());
+  assert.deepEqual(Array.from(a.bins).sort(), Array.from(b.bins).sort());
+  assert.deepEqual(shots.map(a.probability), shots.map(b.probability));
+});
+
+test("fitExpected shrinks bins toward their zone and zones toward the league", () => {
+  const {league, zones, bins} = fitExpected(shots);
+  assert.equal(league, 0.5);
+  close(zones.get("midCenter"), 14 / 26);
+  close(zones.get("aboveBreak3"), 10 / 22);
+  close(bins.get("midCenter:15"), (4 + 20 * 14 / 26) / 26);
+  close(bins.get("aboveBreak3:25"), (20 * 10 / 22) / 22);
+
+  // Without a prior the rates are the raw FG%
+  const raw = fitExpected(shots, {prior: 0});
+  assert.equal(raw.zones.get("midCenter"), 4 / 6);
+  assert.equal(raw.bins.get("aboveBreak3:25"), 0);
+});
+
+test("fitExpected falls back to the zone rate without a 1-ft bin", () => {
+  const {probability, league, zones, bins} = fitExpected(shots);
+  close(probability(shot(1, "midCenter", 15.9, 2)), bins.get("midCenter:15"));
+  assert.equal(probability(shot(1, "midCenter", 3, 2)), zones.get("midCenter"));
+  assert.equal(probability(shot(1, "midCenter", null, 2)), zones.get("midCenter"));
+  // A zone the fit never saw gets the league rate
+  assert.equal(probability(shot(1, "ra", 2, 2)), league);
+});
+
+test("fitExpected reads shots through accessors", () => {
+  const made = Uint8Array.from(shots, d => d.__made);
+  const zone = shots.map(d => d.__zone);
+  const dist = Float64Array.from(shots, d => d.__dist);
+  const ids = shots.map((d, i) => i);
+  const fit = fitExpected(ids, {made: i => made[i], zone: i => zone[i], dist: i => dist[i]});
+  assert.deepEqual(ids.map(fit.probability), shots.map(fitExpected(shots).probability));
+});
+
+test("expectedSummary compares actual and expected points", () => {
+  const s = expectedSummary([{...shot(1, "midCenter", 15, 2), __xp: 0.5}, {...shot(0, "aboveBreak3", 25, 3), __xp: 0.25}]);
+  close(s.xpps, (0.5 * 2 + 0.25 * 3) / 2);
+  close(s.ppsOverExpected, (2 - 1.75) / 2);
+  close(s.xPct, 0.375);
+  close(s.makesOverExpected, 0.25);
+});
+
+test("expectedSummary has NaN rates for no shots", () => {
+  const s = expectedSummary([]);
+  assert.ok(Number.isNaN(s.xpps));
+  assert.ok(Number.isNaN(s.ppsOverExpected));
+  assert.ok(Number.isNaN(s.xPct));
+  assert.equal(s.makesOverExpected, 0);
+  assert.equal(fitExpected([]).league, 0);
+});
@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+import {adaptSeason} from "../src/components/schema.js";
+import {rowColumns} from "../src/components/shotindex.js";
+import {profileCounts, mergeProfiles, summarize} from "../src/components/stats.js";
+import {playerProfile, clockProfile, monthlyTrend} from "../src/components/profile.js";
+
+// 90 shots for two players over three months, every third one made; shot i
+// is i % 40 ft out, in quarter 1 + i % 5 (5 is the first overtime)
+const players = [["Tim Duncan", "San Antonio Spurs"], ["Ben Wallace", "Detroit Pistons"]];
+const {rows} = adaptSeason(Array.from({length: 90}, (_, i) => ({
+  LOC_X: "0", LOC_Y: String(i % 40 * 10), SHOT_MADE: i % 3 ? "0" : "1",
+  PLAYER_NAME: players[i % 2][0], TEAM_NAME: players[i % 2][1], SHOT_DISTANCE: String(i % 40),
+  GAME_DATE: `2004-0${1 + i % 3}-15`, QUARTER: String(1 + i % 5), MINS_LEFT: String(i % 12), SECS_LEFT: "30"
+})), {season: "2004"});
+const part = {season: "2004", length: rows.length, columns: rowColumns(rows)};
+
+test("a player's profile from typed columns matches the one from rows", () => {
+  const duncan = playerProfile([part], "Tim Duncan");
+  assert.deepEqual(duncan.seasons, ["2004"]);
+  assert.deepEqual(duncan.teams, ["San Antonio Spurs"]);
+  assert.deepEqual(duncan.profile, profileCounts(rows.filter(d => d.__player === "Tim Duncan")));
+  assert.equal(duncan.profile.shots.attempts, 45);
+
+  assert.deepEqual(playerProfile([part], "Nobody"), {seasons: [], teams: [], profile: mergeProfiles([])});
+});
+
+test("profile counts add up across players", () => {
+  const byPlayer = players.map(([name]) => profileCounts(rows.filter(d => d.__player === name)));
+  const league = profileCounts(rows);
+  assert.deepEqual(mergeProfiles(byPlayer), league);
+  assert.equal(summarize(league.shots).makes, 30);
+  // Long shots share the last bin
+  assert.equal(league.distance.at(-1).attempts, 10);
+
+  assert.deepEqual(monthlyTrend(league).map(m => [m.month.getMonth(), m.attempts]), [[0, 30], [1, 30], [2, 30]]);
+  const {quarters, minutes} = clockProfile(league);
+  assert.deepEqual(quarters.map(q => q.share), [0.2, 0.2, 0.2, 0.2, 0.2]);
+  // Overtime shots aren't in the regulation minutes
+  assert.equal(minutes.reduce((n, m) => n + m.attempts, 0), 72);
+});
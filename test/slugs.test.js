@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+import {playerSlugs, teamSlugs, nameOfSlug} from "../src/components/slugs.js";
+
+test("playerSlugs numbers names that slugify alike, in sorted order", () => {
+  const slugs = playerSlugs(["José Calderón", "Tim Duncan", "Jose Calderon", "Jose  Calderon"]);
+  assert.deepEqual(Array.from(slugs), [
+    ["Jose  Calderon", "jose-calderon"],
+    ["Jose Calderon", "jose-calderon-2"],
+    ["José Calderón", "jose-calderon-3"],
+    ["Tim Duncan", "tim-duncan"]
+  ]);
+  // The same names in any order get the same slugs
+  assert.deepEqual(playerSlugs(Array.from(slugs.keys()).reverse()), slugs);
+});
+
+test("slugs stay unique when a name already ends in a number", () => {
+  const slugs = teamSlugs(["Bulls-2", "Bulls", "Bulls!"]);
+  assert.deepEqual(Array.from(slugs), [["Bulls", "bulls"], ["Bulls!", "bulls-2"], ["Bulls-2", "bulls-2-2"]]);
+});
+
+test("nameOfSlug finds the name behind a slug", () => {
+  const slugs = teamSlugs(["Los Angeles Lakers", "San Antonio Spurs"]);
+  assert.equal(nameOfSlug(slugs, "san-antonio-spurs"), "San Antonio Spurs");
+  assert.equal(nameOfSlug(slugs, "seattle-supersonics"), undefined);
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+import {JSDOM} from "jsdom";
+import {adaptSeason} from "../src/components/schema.js";
+import {aggregate, teamCourts, mergeTeamCourts, teamHexbin, zoneCounts} from "../src/components/stats.js";
+
+const {window} = new JSDOM("<!doctype html><body></body>");
+for (const key of ["window", "document", "getComputedStyle"]) globalThis[key] = window[key];
+window.matchMedia = () => ({matches: false});
+const {teamGrid} = await import("../src/components/team.js");
+
+// Two teams' shots along the left sideline out to 40 ft, every other one made
+const season = (label, n) => adaptSeason(Array.from({length: n}, (_, i) => ({
+  LOC_X: "-200", LOC_Y: String(i % 40 * 10), SHOT_MADE: i % 2 ? "0" : "1",
+  PLAYER_NAME: "Someone", TEAM_NAME: i % 2 ? "Detroit Pistons" : "San Antonio Spurs", SHOT_DISTANCE: String(i % 40)
+})), {season: label}).rows;
+
+test("teamCourts counts each team's zones and hexagons, and adds up across seasons", () => {
+  const [a, b] = [season("2004", 80), season("2005", 40)];
+  const courts = teamCourts(a);
+  assert.deepEqual(courts.zones["San Antonio Spurs"], zoneCounts(a.filter(d => d.__team === "San Antonio Spurs")));
+
+  // Shots past 30 ft from the rim are off the grid
+  const onGrid = bins => Object.values(bins).reduce((n, [attempts]) => n + attempts, 0);
+  assert.equal(onGrid(courts.bins["Detroit Pistons"]), 30);
+  for (const [id, [attempts, makes]] of Object.entries(courts.bins["San Antonio Spurs"])) {
+    assert.equal(makes, attempts);
+    // Hexagon centres are in court units from the grid's top-left corner
+    const [x, y] = teamHexbin.centre(id);
+    assert.ok(Math.abs(x - 50) <= 10 && y >= -10 && y <= 360);
+  }
+
+  const merged = mergeTeamCourts([courts, teamCourts(b)]);
+  assert.deepEqual(merged, teamCourts([...a, ...b]));
+});
+
+test("teamGrid draws every team from the aggregates", () => {
+  const aggregates = [season("2004", 80), season("2005", 40)].map(rows => ({...aggregate(rows), teamCourts: teamCourts(rows)}));
+  const links = teamGrid(aggregates, {href: team => `#${team}`}).querySelectorAll("a");
+  assert.deepEqual(Array.from(links, a => a.getAttribute("href")), ["#Detroit Pistons", "#San Antonio Spurs"]);
+  assert.match(links[1].textContent, /60 FGA · 100\.0% FG/);
+  const spurs = teamCourts([...season("2004", 80), ...season("2005", 40)]).bins["San Antonio Spurs"];
+  assert.equal(links[1].querySelectorAll("title").length, Object.keys(spurs).length);
+});